@@ -15,19 +15,35 @@
  * Store the DataTable conditions within the URL hash every time a condition is changed,
  * such as the page, length, search or a column order, making it possible to copy/paste
  * the URL. Once said URL is loaded, the conditions will be retrieved from the URL hash
- * and implemented to the table on dt.init
+ * and implemented to the table on dt.preInit (Prior to the first draw, or server-side
+ * request), and dt.init for any conditions requiring the table data
  *
  * KeepConditions is compatable with the following settings/extensions/plugins:
  *      Pagination          (name: page;     key: p)
  *      Page Length         (name: length;   key: l)
  *      Table Searching     (name: search;   key: f)
  *      Column Sorting      (name: order;    key: o)
+ *      Column Searching    (name: colsearch; key: q)
+ *      External Inputs     (name: inputs;   key: i)
  *      Scroller Extension  (name: scroller; key: s)
  *          http://datatables.net/extensions/scroller/
+ *      Scroll Position     (name: scroll;   key: y)
+ *          http://datatables.net/reference/option/scrollX
  *      Column Visibility   (name: colvis;   key: v)
  *          http://datatables.net/reference/button/colvis/
  *      Column Reorder      (name: colorder; key: c)
  *          http://datatables.net/extensions/colreorder/
+ *      Select Extension    (name: select;   key: e)
+ *          http://datatables.net/extensions/select/
+ *      Row Reorder         (name: rowreorder; key: w)
+ *          http://datatables.net/extensions/rowreorder/
+ *      SearchBuilder       (name: searchbuilder; key: b)
+ *          http://datatables.net/extensions/searchbuilder/
+ *      SearchPanes         (name: searchpanes; key: n)
+ *          http://datatables.net/extensions/searchpanes/
+ *      Child Rows          (name: childrows; key: x)
+ *          http://datatables.net/extensions/responsive/
+ *      Row Link            (name: row;      key: r)
  *
  * @example
  *    // Basic Initialization (All conditions by default)
@@ -83,6 +99,15 @@
  *          attachEvents: false
  *        }
  *    });
+ *
+ * @example
+ *    // Keep the conditions in the URL query string (via the History API), leaving the
+ *    // URL hash untouched for any client side routers
+ *    $('#example').DataTable({
+ *        keepConditions: {
+ *          storage: 'query'
+ *        }
+ *    });
  */
 
 "use strict";
@@ -143,6 +168,88 @@ class KeepConditions {
          */
         this._dtDefaults            = $.fn.dataTable.defaults;
 
+        /**
+         * Name of the storage adapter the conditions are kept in, either within the URL ('hash'
+         * or 'query'), within the browser storage ('local' or 'session'), or any adapter
+         * registered via KeepConditions.registerStorage()
+         */
+        this._storage               = this._option( 'storage' );
+
+        if ( KeepConditions.storage( this._storage ) === false ) {
+            console.warn(`[keepConditions:${this._tableId}] Unknown storage '${this._storage}', defaulting to 'hash'`);
+            this._storage = 'hash';
+        }
+
+        /**
+         * Name of the storage adapter the saved views are kept in, either within the browser storage
+         * ('local' or 'session'), or any adapter registered via KeepConditions.registerViewStorage()
+         */
+        this._viewStorage           = this._option( 'viewStorage' );
+
+        if ( KeepConditions.viewStorage( this._viewStorage ) === false ) {
+            console.warn(`[keepConditions:${this._tableId}] Unknown view storage '${this._viewStorage}', defaulting to 'local'`);
+            this._viewStorage = 'local';
+        }
+
+        /**
+         * Name of the view last loaded or saved (See loadView() and saveView()), if any
+         */
+        this._activeView            = null;
+
+        /**
+         * Predefined views (See _predefinedViews()), with the conditions hash value of each view,
+         * once they've been encoded
+         */
+        this._predefined            = null;
+
+        /**
+         * Number of condition snapshots kept to undo (See undo()), 0 to disable undo/redo
+         */
+        this._undoLimit             = this._option( 'undo' );
+
+        if ( this._undoLimit === false )
+            this._undoLimit = 0;
+
+        if ( typeof this._undoLimit !== 'number' || this._undoLimit < 0 ) {
+            console.warn(`[keepConditions:${this._tableId}] Invalid undo '${this._undoLimit}', defaulting to ${KeepConditions.defaults.undo}`);
+            this._undoLimit = KeepConditions.defaults.undo;
+        }
+
+        /**
+         * Conditions hash values of the previous conditions (to undo to), and of the undone
+         * conditions (to redo to), the last of each being the most recent
+         */
+        this._undoStack             = [];
+        this._redoStack             = [];
+
+        /**
+         * Conditions hash value of the current snapshot of the conditions (See _snapshot()), which
+         * is what's added to the undo stack once the conditions change
+         */
+        this._snapshotHash          = null;
+
+        /**
+         * Timeout ID and wait (ms) of the pending (debounced) snapshot, if there is one
+         */
+        this._snapshotTimer         = null;
+        this._snapshotWait          = 0;
+
+        /**
+         * The (debounced) snapshot handler attached to the condition events, kept separately from
+         * the URL update handler, so undo/redo works even with the URL updates detached
+         */
+        this._snapshotHandler       = this._queueSnapshot.bind( this );
+
+        /**
+         * Either 'push' a new browser history entry for every URL update, or 'replace' the current one
+         */
+        this._history               = this._option( 'history' );
+
+        if ( $.inArray( this._history, [ 'push', 'replace' ] ) === -1 ) {
+            console.warn(`[keepConditions:${this._tableId}] Unknown history '${this._history}', defaulting to 'push'`);
+            this._history = 'push';
+        }
+
         /**
          * Map of the condition keys to the condition names
          */
@@ -155,6 +262,92 @@ class KeepConditions {
          */
         this._shouldDraw            = false;
 
+        /**
+         * What the columns are identified by within the hash, either their 'index', or their
+         * 'name' (columns.name) or 'data' (columns.data) values
+         */
+        this._columnIds             = this._option( 'columnIds' );
+
+        if ( $.inArray( this._columnIds, [ 'index', 'name', 'data' ] ) === -1 ) {
+            console.warn(`[keepConditions:${this._tableId}] Unknown columnIds '${this._columnIds}', defaulting to 'index'`);
+            this._columnIds = 'index';
+        }
+
+        /**
+         * Timeout ID and wait (ms) of the pending (debounced) URL update, if there is one
+         */
+        this._hashTimer             = null;
+        this._hashWait              = 0;
+
+        /**
+         * Conditions hash value of this table as it was last written to (or loaded from) the URL
+         */
+        this._lastHash              = '';
+
+        /**
+         * The (debounced) URL update handler attached to the condition events, kept so it can
+         * be detached again
+         */
+        this._queueHandler          = this._queueHash.bind( this );
+
+        /**
+         * Set to true while conditions are being loaded into the table, so the changes made
+         * to the table while doing so don't get written right back to the URL
+         */
+        this._processing            = false;
+
+        /**
+         * Set to true if KeepConditions was initiated before DataTables was initialized (On
+         * preInit.dt), until DataTables has been initialized (On init.dt)
+         */
+        this._initPending           = false;
+
+        /**
+         * Conditions already loaded prior to the first draw (While _initPending)
+         */
+        this._preLoaded             = [];
+
+        /**
+         * Hash values (by condition name) loaded prior to the first draw, the rest of which are
+         * loaded once DataTables is initialized (Or false if loading them was cancelled)
+         */
+        this._pendingLoad           = null;
+
+        /**
+         * Order of the columns the conditions being loaded were kept with (See _columnLayout()),
+         * while they're being loaded
+         */
+        this._hashLayout            = null;
+
+        /**
+         * Initial state of the table (See _initialState()), which is the baseline of the conditions,
+         * as in what they're compared against and reset to
+         */
+        this._initial               = {};
+
+        /**
+         * Initial values of the external inputs bound to the table (See _inputs()), by parameter
+         * name, which is what they're reset to
+         */
+        this._inputDefaults         = {};
+
+        /**
+         * Initial sequence of the rows reordered via RowReorder (See _rowSequence()), which the row
+         * order is kept relative to
+         */
+        this._rowOrder              = null;
+
+        /**
+         * Whether the SearchPanes version was warned about already (See _searchPanesSupported())
+         */
+        this._searchPanesWarned     = false;
+
+        /**
+         * Functions to execute once the conditions loaded into the table have been drawn (EG: To
+         * open the child rows of the rows on the restored page), see _loaded()
+         */
+        this._loadCallbacks         = [];
+
         /**
          * List of enabled conditions, populated when DataTables is initiated
          */
@@ -185,732 +378,3603 @@ class KeepConditions {
     // -----------------------------------------------------------
 
     /**
-     * (Hash) Query String
+     * Register Storage (Adapter)
      *
-     * Parse the url query-like string value of the URL hash. EG: #var1=val1&var2=val2
-     * will result in {var1: 'val1', var2: 'val2'};
+     * Register a storage adapter, which can then be selected via the 'storage' setting. The
+     * adapter is an object with the methods below, each of which is handed the ID of the table
+     * and the KeepConditions instance of said table. Adapters keeping the conditions within the
+     * URL should have 'url' set to true, any other adapters are checked after the URL, and aren't
+     * re-read when navigating via the back/forward buttons
      *
+     *      read( tableId, kc )         Return the conditions hash value (EG: fLondon:oa2:p3), or
+     *                                  undefined if there's nothing stored for the table
+     *      write( tableId, value, kc ) Store the conditions hash value for the table
+     *      clear( tableId, kc )        Remove anything stored for the table
+     *
+     * @param   {string}    name        Name of the storage adapter
+     * @param   {object}    adapter     Storage adapter
      * @access  public
-     * @return  object
+     * @return  {void}
      */
-    static queryString ( ){
-        var queryString  = {},
-            query        = window.location.hash.substring( 1 ),
-            vars         = query.split("&");
-
-        for ( let i = 0; i < vars.length; i++ )	{
-            let pair = vars[ i ].split ( "=" );
-            // If first entry with this name
-            if ( typeof queryString[ pair [ 0 ] ] === 'undefined' )
-                queryString[ pair [ 0 ] ] = pair [ 1 ];
+    static registerStorage ( name, adapter ){
+        if ( typeof name !== 'string' || name.length === 0 )
+            throw new Error('Storage adapters need to be registered with a name');
 
-            else
-            // If second entry with this name
-            if ( typeof queryString[ pair [ 0 ] ] === "string")
-                queryString[ pair [ 0 ] ] = [ queryString [ pair [ 0 ] ], pair[ 1 ] ];
+        $.each( [ 'read', 'write', 'clear' ], ( i, method ) => {
+            if ( ! $.isPlainObject( adapter ) || typeof adapter[ method ] !== 'function' )
+                throw new Error(`The storage adapter '${name}' is missing the ${method}() method`);
+        });
 
-            // If third or later entry with this name
-            else
-                queryString[ pair [ 0 ] ].push ( pair [ 1 ] );
-        }
+        if ( typeof KeepConditions._storages[ name ] !== 'undefined' )
+            console.warn(`[keepConditions] Overriding the existing storage adapter '${name}'`);
 
-        return queryString || false;
+        KeepConditions._storages[ name ] = adapter;
     }
 
     // -----------------------------------------------------------
 
     /**
-     * Structure Hash
+     * Register View Storage (Adapter)
      *
-     * This is the function that's called when any of the events stored in each
-     * condition object gets triggered. There are two variables added to the
-     * data of the event object, 'dtApi' and 'dtSettings', explained below.
-     * Since this is a static member, any unique table-related data must be
-     * handed to it
+     * Register a storage adapter for the saved views (See saveView()), which can then be selected
+     * via the 'viewStorage' setting. The adapter is an object with the methods below, each of which
+     * is handed the ID of the table and the KeepConditions instance of said table
      *
-     * @param   {object}    e_dtSettings    jQuery event (containing data for
-     *                                      dtSettings) or dtSettings itself
-     * @param   {boolean}   retrieve        Return the hash value, as opposed
-     *                                      to updating the URL hash
-     * @var     {object}    dtSettings      DataTables instance settings object
-     * @var     {object}    dtApi           DataTables instance API object
+     *      read( tableId, kc )         Return the saved views (in order), as objects with the name
+     *                                  and conditions hash value of each view (EG: [ { name:
+     *                                  'London', hash: 'fLondon:oa2' } ])
+     *      write( tableId, views, kc ) Store the views of the table (Removing them if empty)
+     *
+     * @param   {string}    name        Name of the view storage adapter
+     * @param   {object}    adapter     View storage adapter
      * @access  public
-     * @return  {void|string}   Either returns the hash string, or updates hash
+     * @return  {void}
      */
-    static structureHash ( e_dtSettings, retrieve ) {
-        var dtSettings;
+    static registerViewStorage ( name, adapter ){
+        if ( typeof name !== 'string' || name.length === 0 )
+            throw new Error('View storage adapters need to be registered with a name');
 
-        if ( ! e_dtSettings )
-            throw new Error('Illegal execution of KeepConditions.structureHash()');
-
-        // If we were handed a KeepConditions object, extract the dtSettings from that
-        if ( e_dtSettings instanceof KeepConditions )
-            dtSettings = e_dtSettings.dtSettings();
-
-        // If this is from a jQuery event, then the data should be handed to us
-        else if ( typeof e_dtSettings.type !== 'undefined'
-            && typeof e_dtSettings.data.dtSettings !== 'undefined' )
-            dtSettings  = e_dtSettings.data.dtSettings;
-
-        // If we were handed an instance of the DataTables API, we can get the settings from that
-        else if ( e_dtSettings instanceof $.fn.dataTable.Api )
-            dtSettings = e_dtSettings.settings()[0];
-
-        // If its just a Table selector or something, get the new API instance
-        else if ( $.fn.DataTable.isDataTable( e_dtSettings ) )
-            dtSettings = new $.fn.dataTable.Api( e_dtSettings ).settings()[0];
+        $.each( [ 'read', 'write' ], ( i, method ) => {
+            if ( ! $.isPlainObject( adapter ) || typeof adapter[ method ] !== 'function' )
+                throw new Error(`The view storage adapter '${name}' is missing the ${method}() method`);
+        });
 
-        else if ( $.isPlainObject( e_dtSettings ) && typeof $.isPlainObject( e_dtSettings.oKeepConditions ) )
-            dtSettings = e_dtSettings;
+        if ( typeof KeepConditions._viewStorages[ name ] !== 'undefined' )
+            console.warn(`[keepConditions] Overriding the existing view storage adapter '${name}'`);
 
-        // Nothing else should be accepted, since the dtSettings is required
-        else
-            throw new Error('Unable to determine what you passed to KeepConditions.structureHash(), should be either an instance of KeepConditions, a proper jQuery event, or a DataTable instance with keepConditions enabled');
+        KeepConditions._viewStorages[ name ] = adapter;
+    }
 
-        var dtApi       = new $.fn.dataTable.Api( dtSettings ),
-            dtOptions   = dtSettings.oInit,
-            conditions  = dtSettings.oKeepConditions.getEnabledConditions( ),
-            hashParsed  = KeepConditions.queryString( ),
-            tableID     = $( dtApi.table( ).node( ) ).attr('id'),
-            hash        = {}, // End result hash (will be processed into URL hash)
-            tableHash   = [], // The conditions for THIS table
-            urlHash     = []; // Gets joined by &
+    // -----------------------------------------------------------
 
-        if ( typeof conditions === 'undefined' || conditions === false )
-            throw new Error('Couldn\'t get conditions from table settings');
+    /**
+     * Register Condition
+     *
+     * Register a custom condition, which is then managed just like the built-in conditions (It
+     * can be enabled via the keepConditions DT init setting, enableCondition(), etc). Each method
+     * of the condition is executed with the KeepConditions instance of the table as 'this', so
+     * the table can be accessed via this.dtApi( ) and this.dtSettings( )
+     *
+     *      key                 Single letter identifying the condition within the hash (unique)
+     *      event               DataTables event(s) to update the hash on (EG: 'draw.dt')
+     *      isInit( )           Return true if the condition is setup on the table
+     *      onLoad( value )     Load the conditions hash component value into the table, returning
+     *                          true if the table needs to be redrawn
+     *      isset( )            Return true if the condition is set (and not at its default)
+     *      newHashVal( )       Return the new value of the conditions hash component
+     *      onReset( )          (Optional) Reset the condition back to its default, returning true
+     *                          if the table needs to be redrawn
+     *      debounce            (Optional) Wait (ms) before updating the hash after the event
+     *      node( )             (Optional) Return the element to attach the event to, instead of
+     *                          the DT instance (EG: For DOM events, such as 'scroll')
+     *      selector( )         (Optional) Return the selector of the elements (within the table
+     *                          or node) that the DOM events (EG: 'click') are handled for
+     *      value( )            (Optional) Return the current value of the condition, as given by
+     *                          the get() method (The hash value is given otherwise)
+     *      encode( value )     (Optional) Encode a value (as returned by value()) into the hash
+     *                          value, used by the set() method
+     *
+     * @param   {string}    name        Name of the condition (Longer than a single letter)
+     * @param   {object}    condition   Condition definition
+     * @access  public
+     * @return  {void}
+     */
+    static registerCondition ( name, condition ){
+        if ( typeof name !== 'string' || name.length === 0 )
+            throw new Error('Conditions need to be registered with a name');
 
-        // Grab all the existing hashes - to carefully not disturb any conditions NOT for this table
-        $.each( hashParsed, ( table, cons ) => {
-            // @todo Might still want to continue if !cons, to clear conditions
-            if ( ! table && ! cons )
-                return;
+        // Single letters are taken as condition keys (EG: By enableCondition())
+        if ( name.length === 1 )
+            throw new Error(`The condition name '${name}' needs to be longer than a single letter, which is taken as a condition key`);
 
-            // If this id isn't this table, store the hash and move on
-            if ( table !== tableID )
-                hash[ table ] = cons || '';
+        if ( ! $.isPlainObject( condition ) )
+            throw new Error(`The condition '${name}' needs to be an object`);
 
-            // Were ignoring THIS table id because were going to re-create it
-        });
+        if ( typeof condition.key !== 'string' || ! /^[a-zA-Z]$/.test( condition.key ) )
+            throw new Error(`The key of the condition '${name}' needs to be a single letter`);
 
-        // Loop through each enabled condition, setting the new hash value, if needed
-        $.each( conditions, ( i, c ) => {
-            if ( dtSettings.oKeepConditions.conditions( )[ c ].isset( ) ) {
-                let conHashVal = dtSettings.oKeepConditions.conditions( )[ c ].newHashVal( );
+        if ( typeof condition.event !== 'string' || condition.event.length === 0 )
+            throw new Error(`The condition '${name}' is missing the event to update the hash on`);
 
-                // Prevent any elements from being added as - vfundefined:sundefined:oundefined, etc
-                if ( typeof conHashVal !== 'undefined' && conHashVal !== false )
-                    tableHash.push( dtSettings.oKeepConditions.conditions( )[ c ].key + conHashVal );
-            }
+        $.each( [ 'isInit', 'onLoad', 'isset', 'newHashVal' ], ( i, method ) => {
+            if ( typeof condition[ method ] !== 'function' )
+                throw new Error(`The condition '${name}' is missing the ${method}() method`);
         });
 
-        hash[ tableID ] = tableHash.join( ':' );
+        let keyMap = KeepConditions._conditionKeys( );
 
-        $.each(hash, (table,conditions) => {
-            if(conditions.length > 0)
-                urlHash.push(`${table}=${conditions}` );
-        } );
+        if ( $.inArray( name, $.map( keyMap, n => n ) ) !== -1 )
+            throw new Error(`A condition named '${name}' already exists`);
 
-        var newHash = urlHash.join( '&' );
+        if ( typeof keyMap[ condition.key ] !== 'undefined' )
+            throw new Error(`The key '${condition.key}' of the condition '${name}' is already used by the condition '${keyMap[ condition.key ]}'`);
 
-        // If were just retrieving the hash, then return it...
-        if ( retrieve === true )
-            return newHash;
+        KeepConditions._conditions[ name ] = condition;
 
-        // Otherwise, update the URL Hash. If there is no hash value to update,
-        // then just set an underscore, to prevent the page from scrolling to
-        // the top
-        window.location.hash = newHash || '_'
+        // Update the key map of any tables already using KeepConditions
+        $.each( $.fn.dataTable.settings, ( i, dtSettings ) => {
+            if ( typeof dtSettings.oKeepConditions !== 'undefined' )
+                dtSettings.oKeepConditions._keysToCons = dtSettings.oKeepConditions._keyMap( );
+        });
     }
 
     // -----------------------------------------------------------
 
     /**
-     * Initiate (Main KeepConditions Plugin Functions)
+     * Condition Keys
      *
-     * Initiate the main KeepConditions plugin functionality, such as parsing the initial
-     * URL hash value and implementing the results in the table, attaching the enabled
-     * conditions to be managed to the associated Datatables events, etc etc.
+     * Map of the keys of every condition (built-in and registered) to the condition names. The
+     * conditions object is only structured (none of the condition methods are executed), so a
+     * bare instance is enough to retrieve them
      *
      * @access  private
-     * @return  {void}
+     * @return  {object}    Returns: { f: 'search', l: 'length', ... }
      */
-    _init( ){
-        // Enable any enabled/initiated settings/Extensions/Plugins
-        this._collectEnabled();
-
-        // Check if the events should be attached, they can be detached if the keepConditions
-        // setting is an object, with 'attachEvents' set to false
-        if( this._dtSettings.oInit.keepConditions === true
-            || typeof this._dtSettings.oInit.keepConditions === 'string'
-            || $.isArray( this._dtSettings.oInit.keepConditions )
-            || ($.isPlainObject( this._dtSettings.oInit.keepConditions )
-                && (typeof this._dtSettings.oInit.keepConditions.attachEvents === 'undefined'
-                    || this._dtSettings.oInit.keepConditions.attachEvents === true )))
-            this.attachEvents();
-
-        // Parse the URL hash value, have each condition object process it's associated
-        // hash element value, re-drawing the table accordingly
-        this.processHash();
+    static _conditionKeys ( ){
+        return KeepConditions.prototype._keyMap.call( Object.create( KeepConditions.prototype ) );
     }
 
     // -----------------------------------------------------------
 
     /**
-     * Collect Enabled (Conditions)
+     * Storage (Adapter)
      *
-     * Set any conditions that are enabled in the keepConditions initial settings, by adding them
-     * to the enabledConditions
+     * @param   {string}    name    Name of the storage adapter
+     * @access  public
+     * @return  {object|boolean}    The storage adapter, or false if none is registered by that name
      */
-    _collectEnabled(){
-        // Loop through all available conditions, checking if enabled
-        $.each( this.conditions( ), ( sCondition, oCondition ) =>  {
+    static storage ( name ){
+        return KeepConditions._storages[ name ] || false;
+    }
 
-            // Check if condition is enabled in plugin settings, and if the table was initialized
-            // with said setting/extension/plugin (The latter is unique per condition, so each
-            // condition object has it's own method to check if table was init with condition)
-            if ( ! this._isEnabled( sCondition ) || ! oCondition.isInit( ) )
-                return;
+    // -----------------------------------------------------------
 
-            // Add it to the enabled conditions list/array
-            this.enableCondition( sCondition );
-        });
+    /**
+     * View Storage (Adapter)
+     *
+     * @param   {string}    name    Name of the view storage adapter
+     * @access  public
+     * @return  {object|boolean}    The view storage adapter, or false if none is registered by that name
+     */
+    static viewStorage ( name ){
+        return KeepConditions._viewStorages[ name ] || false;
     }
 
     // -----------------------------------------------------------
 
     /**
-     * Map (Condition) Keys (To Condition Names)
+     * Location String
      *
-     * Executed by _keysToCons to basically map each conditions key to the condition name,
-     * primarily used to associate the condition keys within the hash string to the condition
-     * name themselves.
+     * Retrieve the raw (query-like) string from the location the conditions are kept in,
+     * without the leading # or ?
      *
-     * @access  private
-     * @return  {object}    Returns: { f: 'search', l: 'length', ... }
+     * @param   {string}    storage     Either 'hash' (default) or 'query'
+     * @access  public
+     * @return  {string}
      */
-    _keyMap ( ) {
-        return ( conditions => {
-            let ret = {};
-
-            $.each( conditions, ( name, con ) => {
-                ret[ con.key ] = name;
-            });
-
-            return ret;
-        } )( this.conditions( ) );
+    static locationString ( storage ){
+        return storage === 'query'
+            ? window.location.search.substring( 1 )
+            : window.location.hash.substring( 1 );
     }
 
     // -----------------------------------------------------------
 
     /**
-     * Is (Specific Condition) Enabled
+     * Update Location
      *
-     * Check if a specific condition is enabled to be managed via KeepConditions
-     * plugin. Condition(s) can be enabled if the DT setting 'keepConditions' is
-     * simply 'true', which would enable all available conditions, or it can be
-     * a string of condition keys, or an array of condition names, or an object,
-     * which may contain a 'conditions' property, which can also be either an
-     * array of enabled conditions, or a string of condition names, or if it is
-     * undefined, then all available conditions are enabled.
-     * Note: This does not validate if the associated setting/extension/plugin
-     * is enabled within DataTables, but rather just set to be managed via
-     * KeepConditions
+     * Store the new (query-like) string in the location the conditions are kept in. The
+     * query string is updated via the History API, so the page isn't reloaded, and the
+     * hash is left alone. Either a new browser history entry is pushed, or the current
+     * one is replaced
      *
-     * @param   {string}    condition   Condition name to validate
-     * @access  private
-     * @return  {boolean}
+     * @param   {string}    storage     Either 'hash' (default) or 'query'
+     * @param   {string}    newHash     New query-like string (without the leading # or ?)
+     * @param   {string}    history     Either 'push' (default) or 'replace'
+     * @access  public
+     * @return  {void}
      */
-    _isEnabled ( condition ){
-        var options = this._dtSettings.oInit.keepConditions;
+    static updateLocation ( storage, newHash, history ){
+        var hasHistoryApi = typeof window.history !== 'undefined'
+            && typeof window.history.pushState === 'function';
 
-        // If were verifying a condition status by the key...
-        if ( condition.length === 1 ) {
-            // Attempt to get the name, if it fails, throw an error..
-            var name = this.nameByKey( condition );
+        // Nothing to do if the location is already up to date
+        if ( newHash === KeepConditions.locationString( storage ) )
+            return;
 
-            if ( ! condition )
-                throw new Error(`Unable to find an existing condition with the key '${condition}'`);
+        if ( storage === 'query' ) {
+            if ( ! hasHistoryApi ) {
+                console.warn('[keepConditions] The History API is not available, unable to update the URL query string');
+                return;
+            }
 
-            // .. Otherwise, set the condition to the retreived name and continue
-            condition = name;
+            window.history[ history === 'replace' ? 'replaceState' : 'pushState' ]( window.history.state, '',
+                window.location.pathname + ( newHash ? `?${newHash}` : '' ) + window.location.hash );
+
+            return;
         }
-        // If were verifying by the name, and the name wasn't found...
-        else if ( this.conditions( condition ) === false ) {
-            throw new Error(`Unable to find an existing condition with the name '${condition}'`);
+
+        // If there is no hash value to update, then just set an underscore, to prevent
+        // the page from scrolling to the top
+        if ( history === 'replace' ) {
+            if ( hasHistoryApi )
+                window.history.replaceState( window.history.state, '',
+                    window.location.pathname + window.location.search + `#${newHash || '_'}` );
+            else
+                window.location.replace( `#${newHash || '_'}` );
+
+            return;
         }
 
-        // Return the result based on the initial DT 'keepConditions' value, (Details on
-        // logic process in the above DocBlock comment)
-        return (
-            // A) If the initial 'keepConditions' is 'true', just say yes to all conditions
-            options === true
-                // If its undefined (This should only happen if KeepConditions is being
-                // initialized via manually executing: new KeepConditions( table )
-                || typeof options === 'undefined'
-                // B) If the init config is a string of conditions (by keys)..
-                || ( typeof options === 'string'
-                    && options.indexOf( this.conditions( condition ).key ) !== -1 )
-                // C) If the init config is an array of enabled conditions..
-                || ( $.isArray(options)
-                    && $.inArray( condition, options ) !== -1 )
-                // D) If the init configs 'conditions' property is an array of conditions..
-                || ( $.isPlainObject(options) && $.isArray(options.conditions)
-                    && $.inArray( condition, options.conditions ) !== -1 )
-                // E) If the init configs 'conditions' property is a string of conditions (by keys)..
-                || ( $.isPlainObject(options) && typeof options.conditions === 'string'
-                    && options.conditions.indexOf( this.conditions( condition ).key ) !== -1 )
-        );
+        window.location.hash = newHash || '_';
     }
 
     // -----------------------------------------------------------
 
     /**
-     * Redraw the table
+     * Web Storage
      *
-     * This is mainly ran after all the onLoads have done for the conditions, instead of drawing the
-     * table after each condition is loaded, they will set _shouldDraw to true, then execute this,
-     * and this will check the _shouldDraw, then draw if necessary, and reset _shouldDraw.
+     * Retrieve the browser storage object for the storage type, if its available
      *
-     * @param   {boolean}   force           Force the draw, regardless of the value of this._shouldDraw
-     * @param   {boolean}   resetPaging     Reset the paging or not (Sending view to first page)
-     * @access  private
-     * @return  {void}
+     * @param   {string}    storage     Either 'local' or 'session'
+     * @access  public
+     * @return  {object|boolean}    Either localStorage or sessionStorage, or false
      */
-    _drawTable ( force, resetPaging ) {
-        if ( this._shouldDraw === true || force === true ) {
-            this._dtApi.draw( resetPaging === true );
-            this._shouldDraw = false;
+    static webStorage ( storage ){
+        try {
+            let webStorage = window[ `${storage}Storage` ];
+
+            return typeof webStorage !== 'undefined' && webStorage !== null
+                ? webStorage
+                : false;
+        }
+        // Accessing the storage can throw errors when its disabled by the browser
+        catch ( err ) {
+            return false;
         }
     }
 
     // -----------------------------------------------------------
 
-    _lang( key, string ){
+    /**
+     * Load Stored (Conditions)
+     *
+     * Retrieve the conditions hash value stored for a table within the browser storage, any
+     * stored value older than the duration is removed instead
+     *
+     * @param   {string}    storage     Either 'local' or 'session'
+     * @param   {string}    tableId     ID of the table the conditions belong to
+     * @param   {number}    duration    Seconds the stored conditions are valid for (0 for no limit)
+     * @access  public
+     * @return  {string|undefined}  Conditions hash value (EG: fLondon:oa2:p3), if any are stored
+     */
+    static loadStored ( storage, tableId, duration ){
+        var webStorage  = KeepConditions.webStorage( storage ),
+            key         = `KeepConditions_${tableId}_${window.location.pathname}`,
+            stored;
+
+        if ( ! webStorage )
+            return;
+
+        try {
+            stored = JSON.parse( webStorage.getItem( key ) );
+        }
+        catch ( err ) {
+            stored = null;
+        }
+
+        if ( ! $.isPlainObject( stored ) || typeof stored.conditions !== 'string' )
+            return;
+
+        if ( duration > 0 && stored.time + ( duration * 1000 ) < new Date( ).getTime( ) ) {
+            webStorage.removeItem( key );
+            return;
+        }
 
+        return stored.conditions;
     }
 
     // -----------------------------------------------------------
 
     /**
-     * Structure Hash (Conditions)
+     * Save Stored (Conditions)
      *
-     * Basically a non-static value of KeepConditions.structureHash(), mainly
-     * used via the API Methods
+     * Store the conditions hash value of a table within the browser storage (Removing it if
+     * there are no conditions to store)
      *
-     * @param   {boolean}   retrieve        Return the hash value, as opposed
-     *                                      to updating the URL hash
+     * @param   {string}    storage     Either 'local' or 'session'
+     * @param   {string}    tableId     ID of the table the conditions belong to
+     * @param   {string}    conditions  Conditions hash value (EG: fLondon:oa2:p3)
      * @access  public
-     * @return  {void|string}   Either returns the hash string, or updates hash
+     * @return  {void}
      */
-    structureHash( retrieve ){
-        return KeepConditions.structureHash( this._dtSettings, retrieve );
+    static saveStored ( storage, tableId, conditions ){
+        var webStorage  = KeepConditions.webStorage( storage ),
+            key         = `KeepConditions_${tableId}_${window.location.pathname}`;
+
+        if ( ! webStorage ) {
+            console.warn(`[keepConditions:${tableId}] The ${storage}Storage is not available, unable to store the conditions`);
+            return;
+        }
+
+        try {
+            if ( conditions.length === 0 )
+                webStorage.removeItem( key );
+            else
+                webStorage.setItem( key, JSON.stringify( {
+                    time:       new Date( ).getTime( ),
+                    conditions: conditions
+                } ) );
+        }
+        // Most likely the storage quota was exceeded
+        catch ( err ) {
+            console.warn(`[keepConditions:${tableId}] Unable to store the conditions:`, err);
+        }
     }
 
     // -----------------------------------------------------------
 
     /**
-     * Just return DT Settings
+     * Load (Saved) Views
+     *
+     * Retrieve the views saved for a table within the browser storage
+     *
+     * @param   {string}    storage     Either 'local' or 'session'
+     * @param   {string}    tableId     ID of the table the views belong to
+     * @access  public
+     * @return  {array}     Views, as objects with the name and conditions hash value of each view
+     *                      (EG: [ { name: 'London', hash: 'fLondon:oa2' } ])
      */
-    dtSettings(){
-        return this._dtSettings;
+    static loadViews ( storage, tableId ){
+        var webStorage  = KeepConditions.webStorage( storage ),
+            views;
+
+        if ( ! webStorage )
+            return [];
+
+        try {
+            views = JSON.parse( webStorage.getItem( `KeepConditions_views_${tableId}_${window.location.pathname}` ) );
+        }
+        catch ( err ) {
+            views = null;
+        }
+
+        return $.isArray( views ) ? views : [];
     }
 
     // -----------------------------------------------------------
 
     /**
-     * Attach (Condition Update) Events
+     * Save (Saved) Views
      *
-     * Attach the KeepConditions.structureHash() method to any DT events that may require the hash to
-     * be updated (such as Col Reordering, Col Sort Order, Draw, etc)
+     * Store the views of a table within the browser storage (Removing them if there are none)
      *
+     * @param   {string}    storage     Either 'local' or 'session'
+     * @param   {string}    tableId     ID of the table the views belong to
+     * @param   {array}     views       Views, as objects with the name and conditions hash value of each
      * @access  public
      * @return  {void}
      */
-    attachEvents () {
-        var eventParams = {
-                dtSettings: this._dtSettings
-            },
-            enabledConditions = this.getEnabledConditions( );
+    static saveViews ( storage, tableId, views ){
+        var webStorage  = KeepConditions.webStorage( storage ),
+            key         = `KeepConditions_views_${tableId}_${window.location.pathname}`;
 
-        if ( enabledConditions === false )
-            throw new Error('No enabled conditions to attach to events');
-
-        var conditions = this.conditions( enabledConditions );
+        if ( ! webStorage ) {
+            console.warn(`[keepConditions:${tableId}] The ${storage}Storage is not available, unable to store the views`);
+            return;
+        }
 
-        // Loop through all available conditions
-        $.each( conditions, ( sCondition, oCondition ) =>  {
-            // Attach the method that updates the hash, to the event associated with this condition
-            this._dtApi.on( `${oCondition.event}.${this._eventNamespace}`, eventParams, KeepConditions.structureHash.bind( KeepConditions ) );
-        });
+        try {
+            if ( views.length === 0 )
+                webStorage.removeItem( key );
+            else
+                webStorage.setItem( key, JSON.stringify( views ) );
+        }
+        // Most likely the storage quota was exceeded
+        catch ( err ) {
+            console.warn(`[keepConditions:${tableId}] Unable to store the views:`, err);
+        }
     }
 
     // -----------------------------------------------------------
 
     /**
-     * Detach (Condition Update) Events
+     * Compress Sequence
      *
-     * Detach the KeepConditions.structureHash() method to any DT events that may require the hash to
-     * be updated (such as Col Reordering, Col Sort Order, Draw, etc)
+     * Shorten a sequence of numbers into a string, converting any consecutive numbers (going in
+     * either direction) into a range, EG: [9,1,2,3,4,8,7,6,5,0] to '9.1-4.8-5.0'
      *
+     * @param   {array}     sequence    Sequence of (positive) integers
      * @access  public
-     * @return  {void}
+     * @return  {string}
      */
-    detachEvents () {
-        var eventParams = {
-                dtSettings: this._dtSettings
+    static compressSequence ( sequence ){
+        // Temp var used to store the previous number, reset on every iteration
+        let prev,
+            // Gets joined by '.' on return
+            result = [],
+            // Current collection if sequenced numbers
+            collection = [],
+            // Return the number in the collection that is i spaces from the end
+            lastInCol = (i) => {
+                return collection[collection.length-i];
             },
-            enabledConditions = this.getEnabledConditions( );
+            // Compile the collection (If > 2 characters, then it adds 'first-last',
+            // if its just two characters, then it adds 'first.second'). Then empty
+            // the collection array, and return the newly constructed string
+            compileColl = () =>  {
+                let ret;
+
+                if(collection.length === 2)
+                    ret = collection[0]+'.'+collection[1];
+                else
+                    ret = collection[0]+'-'+lastInCol(1);
 
-        if ( enabledConditions === false )
-            throw new Error('No enabled conditions to attach to events');
+                collection = [];
+                return ret;
+            }
 
-        var conditions = this.conditions( enabledConditions );
+        // Shorten the sequence of numbers (Converting something like
+        // 1, 2, 3, 4 to 1-4, going in both directions
+        $.each(sequence, (i,s) => {
+            s = parseInt(s);
 
-        // Loop through all available conditions
-        $.each( conditions, ( sCondition, oCondition ) =>  {
-            // Check if condition is enabled in plugin settings, and if the table was initialized
-            // with said setting/extension/plugin (The latter is unique per condition, so each
-            // condition object has it's own method to check if table was init with condition)
-            if ( ! this._isEnabled( sCondition ) || ! oCondition.isInit( ) )
-                return;
+            // First one just gets added to result
+            if( typeof prev === 'undefined'){
+                result.push(s);
+            }
+            // Anything after the first..
+            else {
+                // If were on a roll with the sequence..
+                if(collection.length > 0){
+                    // Check if were in sequence with the collection (Going positive)
+                    if(lastInCol(1) > lastInCol(2) && s === lastInCol(1)+1){
+                        collection.push(s);
+                    }
+                    // Check if were in sequence with the collection (Going negative)
+                    else if(lastInCol(1) < lastInCol(2) && s === lastInCol(1)-1){
+                        collection.push(s);
+                    }
+                    // Were running a collection, but this number isnt in sequence, so
+                    // terminate the collection and add the collection and the current
+                    // int to the result array
+                    else {
+                        result.push(compileColl());
+                        result.push(s);
+                    }
+                }
+                // Otherwise, check if we should start a sequence..
+                else {
+                    // If this int and the prev are sequential in either direction,
+                    // start the collection
+                    if(s === prev+1 || s === prev-1){
+                        // Pull the last item from the result
+                        result.splice( result.length-1, 1 );
+                        // add it to the collection
+                        collection.push(prev);
+                        collection.push(s);
+                    }
+                    // This number isnt in sequence with the last one, so dont start
+                    // a collection
+                    else {
+                        result.push(s);
+                    }
+                }
+            }
 
-            // Attach the method that updates the hash, to the event associated with this condition
-            this._dtApi.off(`${oCondition.event}.${this._eventNamespace}`);
+            prev = s;
         });
+
+        // Once the $.each loop is done, we need to ensure that
+        // there's no leftover collection numbers
+        if(collection.length > 0)
+            result.push(compileColl());
+
+        // Result should convert something like '[9,1,2,3,4,8,6,5,0]' to '9.1-4.8-5.0',
+        // which is easily kept in the URL, and converted back later
+        return result.join('.');
     }
 
     // -----------------------------------------------------------
 
     /**
-     * Detach (Hash Update from conditions) Event
+     * Expand Sequence
      *
-     * The KeepConditions.structureHash() method is attached to the events specified by the 'event' property
-     * for each condition. This method can be used to detach that method from a specific DataTables event,
-     * which can be specified by giving the condition (which then the event is retrieved), or the exact
-     * DataTables event (ending in .dt, eg: draw.dt)
+     * Expand a sequence compressed via KeepConditions.compressSequence() back into an array of
+     * numbers, EG: '9.1-4.8-5.0' to [9,1,2,3,4,8,7,6,5,0]
      *
-     * @param   {string|array}     condition    Either an array if multiple, or string of single condition(s)
-     *                                          or DT event(s)
+     * @param   {string}    sequence    Compressed sequence
      * @access  public
-     * @return  {void}
+     * @return  {array}
      */
-    detachEvent ( condition ) {
-        if ( typeof condition === 'undefined' ){
-            console.warn('No condition or event specified for KeepConditions.detachEvent(), nothing is getting detached');
+    static expandSequence ( sequence ){
+        var res = [];
+
+        // Check for any array items that are sequences (eg: 2-6)
+        $.each(sequence.split('.'), (is,s) => {
+            if(s.indexOf('-') !== -1){
+                var spl = s.split('-'),
+                    a 	= parseInt(spl[0]),
+                    b	= parseInt(spl[1]);
+                if(a > b)
+                    for(let i=a; b<i+1;i--){
+                        res.push(i);
+                    }
+                else
+                    for(let i=a; b>i-1;i++){
+                        res.push(i);
+                    }
+            }
+            else {
+                res.push(s);
+            }
+        });
 
-            return;
-        }
+        return res.map( i => parseInt( i ) );
+    }
 
-        // Retrieve the condition, also to make sure it exists
-        var oCondition = this.conditions( condition );
+    // -----------------------------------------------------------
 
-        if( ! oCondition )
-            return false;
+    /**
+     * Encode (Hash Component Value)
+     *
+     * Encode a value to be kept within a conditions hash component. Along with what's encoded by
+     * encodeURIComponent(), any characters used to delimit values within the components (such as
+     * the . and -) are encoded as well. The result can be decoded via decodeURIComponent()
+     *
+     * @param   {string}    value   Value to encode
+     * @access  public
+     * @return  {string}
+     */
+    static encode ( value ){
+        return encodeURIComponent( String( value ) )
+            .replace( /[.\-~!*'()]/g, c => `%${c.charCodeAt( 0 ).toString( 16 ).toUpperCase( )}` );
+    }
 
-        var event;
+    // -----------------------------------------------------------
 
-        // Single condition or event
-        if ( typeof condition === 'string' ) {
-            // If were given the exact event
-            if ( condition.endsWith('.dt') )
-                event = condition;
+    /**
+     * Encode JSON
+     *
+     * Encode any (JSON serializable) value into a compact URL safe string (The JSON as base64url,
+     * without the padding), for conditions too complex to be kept as a delimited list
+     *
+     * @param   {*}         value   Value to encode
+     * @access  public
+     * @return  {string}
+     */
+    static encodeJson ( value ){
+        return window.btoa( unescape( encodeURIComponent( JSON.stringify( value ) ) ) )
+            .replace( /\+/g, '-' )
+            .replace( /\//g, '_' )
+            .replace( /=+$/, '' );
+    }
 
-            // If were given the condition to retrieve the event name from
-            else
-                event = oCondition.event;
+    // -----------------------------------------------------------
 
-            // Detach event callback
-            this._dtApi.off( event, KeepConditions.structureHash.bind( KeepConditions ) );
+    /**
+     * Decode JSON
+     *
+     * Decode a value encoded via KeepConditions.encodeJson()
+     *
+     * @param   {string}    value   Encoded value
+     * @access  public
+     * @return  {*}         Decoded value, or undefined if it couldn't be decoded
+     */
+    static decodeJson ( value ){
+        try {
+            return JSON.parse( decodeURIComponent( escape( window.atob(
+                value.replace( /-/g, '+' ).replace( /_/g, '/' ) ) ) ) );
         }
+        catch ( e ) {
+            return undefined;
+        }
+    }
 
-        // Multiple events or conditions
-        else if ( $.isArray( condition ) && condition.length > 0 ){
-            $.each( condition, ( i, c ) => {
-                // If were given the exact event
-                if ( c.endsWith('.dt') )
-                    event = c;
-
-                // If were given the condition to retrieve the event name from, make sure it exists
-                else if (typeof oCondition[ c ] !== 'undefined' )
-                    event = oCondition[ c ].event;
-
-                // Abort if we were given an incorrect condition
-                else
-                    throw new Error(`Unknown condition specified: ${c}`);
+    // -----------------------------------------------------------
 
-                // Detach event callback
-                this._dtApi.off(`${event}.${this._eventNamespace}`);
-            });
-        }
+    /**
+     * Encode Search
+     *
+     * Encode a search (global or column) to be kept within a conditions hash component. If any of
+     * the search flags differ from the DataTables defaults, they're prepended to the (encoded)
+     * search value, delimited by a ; (EG: r;%5ELon for a regex search). The flags being:
+     *      r   Regex search enabled
+     *      x   Smart search disabled
+     *      c   Case sensitive search
+     *
+     * @param   {object}    oSearch     DataTables search object (EG: dtSettings.oPreviousSearch)
+     * @access  public
+     * @return  {string}
+     */
+    static encodeSearch ( oSearch ){
+        var flags = ( oSearch.bRegex === true ? 'r' : '' )
+            + ( oSearch.bSmart === false ? 'x' : '' )
+            + ( oSearch.bCaseInsensitive === false ? 'c' : '' );
 
-        // Whatever else
-        else {
-            // If we were given something that wasnt caught
-            console.warn( 'Illegal parameter type for KeepConditions.detachEvent(), should be array or string, was: ', typeof condition );
-        }
+        return ( flags.length > 0 ? `${flags};` : '' ) + KeepConditions.encode( oSearch.sSearch );
     }
 
     // -----------------------------------------------------------
 
     /**
-     * Attach (Hash Update to conditions) Event
+     * Decode Search
      *
-     * Attach the KeepConditions.structureHash() method to one or more specific event(s), specified either
-     * by the condition name (search, paging, etc) or the specific event itself (which should end with
-     * '.dt', EG: draw.dt)
+     * Decode a search encoded via KeepConditions.encodeSearch(). Searches without any flags (Which
+     * includes those kept before the flags were) are DataTables default searches
      *
-     * @param   {string|array}     condition    Either an array if multiple, or string of single condition(s)
-     *                                          or DT event(s)
+     * @param   {string}    value   Encoded search (EG: r;%5ELon)
      * @access  public
-     * @return  {void}
-     * @todo    Should 'this.enableCondition( sCondition );' be added? Dont think so
+     * @return  {object}    Search value and flags, as the search( ) API method params:
+     *                      { search: '^Lon', regex: true, smart: true, caseInsensitive: true }
      */
-    attachEvent ( condition ) {
-        if ( typeof condition === 'undefined' ){
-            console.warn('No condition or event specified for KeepConditions.attachEvent(), nothing is getting attached');
+    static decodeSearch ( value ){
+        // A ; is encoded by encodeURIComponent, so it can only be the flags delimiter
+        var flags = value.indexOf( ';' ) !== -1 ? value.substring( 0, value.indexOf( ';' ) ) : '';
+
+        return {
+            search:             decodeURIComponent( value.substring( value.indexOf( ';' ) + 1 ) ),
+            regex:              flags.indexOf( 'r' ) !== -1,
+            smart:              flags.indexOf( 'x' ) === -1,
+            caseInsensitive:    flags.indexOf( 'c' ) === -1
+        };
+    }
 
-            return;
-        }
+    // -----------------------------------------------------------
 
-        // Data handed to the jQuery event
-        var eventParams = {
-            dtSettings: this._dtSettings
-        };
+    /**
+     * (Hash) Query String
+     *
+     * Parse the url query-like string value of the URL hash (or the URL query string, if
+     * storage is 'query'). EG: #var1=val1&var2=val2 will result in {var1: 'val1', var2: 'val2'};
+     *
+     * @param   {string}    storage     Either 'hash' (default) or 'query'
+     * @access  public
+     * @return  object
+     */
+    static queryString ( storage ){
+        var queryString  = {},
+            query        = KeepConditions.locationString( storage ),
+            vars         = query.split("&");
 
-        // Retrieve the condition, also to make sure it exists
-        var oCondition = this.conditions( condition );
+        for ( let i = 0; i < vars.length; i++ )	{
+            let pair = vars[ i ].split ( "=" );
+            // If first entry with this name
+            if ( typeof queryString[ pair [ 0 ] ] === 'undefined' )
+                queryString[ pair [ 0 ] ] = pair [ 1 ];
 
-        if( ! oCondition )
-            return false;
+            else
+            // If second entry with this name
+            if ( typeof queryString[ pair [ 0 ] ] === "string")
+                queryString[ pair [ 0 ] ] = [ queryString [ pair [ 0 ] ], pair[ 1 ] ];
 
-        var event;
+            // If third or later entry with this name
+            else
+                queryString[ pair [ 0 ] ].push ( pair [ 1 ] );
+        }
 
-        //this._dtApi.on( oCondition.event, eventParams, KeepConditions.structureHash.bind( KeepConditions ) );
+        return queryString || false;
+    }
 
-        // Single condition or event
-        if ( typeof condition === 'string' ) {
-            // If were given the exact event
-            if ( condition.endsWith('.dt') )
-                event = condition;
+    // -----------------------------------------------------------
 
-            // If were given the condition to retrieve the event name from
-            else
-                event = oCondition.event;
+    /**
+     * Structure Hash
+     *
+     * This is the function that's called when any of the events stored in each
+     * condition object gets triggered. There are two variables added to the
+     * data of the event object, 'dtApi' and 'dtSettings', explained below.
+     * Since this is a static member, any unique table-related data must be
+     * handed to it
+     *
+     * @param   {object}    e_dtSettings    jQuery event (containing data for
+     *                                      dtSettings) or dtSettings itself
+     * @param   {boolean}   retrieve        Return the hash value, as opposed
+     *                                      to updating the URL hash
+     * @var     {object}    dtSettings      DataTables instance settings object
+     * @var     {object}    dtApi           DataTables instance API object
+     * @access  public
+     * @return  {void|string}   Either returns the hash string, or updates hash
+     */
+    static structureHash ( e_dtSettings, retrieve ) {
+        var dtSettings;
 
-            // Detach event callback
-            this._dtApi.on( event, eventParams, KeepConditions.structureHash.bind( KeepConditions ) );
-        }
+        if ( ! e_dtSettings )
+            throw new Error('Illegal execution of KeepConditions.structureHash()');
 
-        // Multiple events or conditions
-        else if ( $.isArray( condition ) && condition.length > 0 ){
-            $.each( condition, ( i, c ) => {
-                // If were given the exact event
-                if ( c.endsWith('.dt') )
-                    event = c;
+        // If we were handed a KeepConditions object, extract the dtSettings from that
+        if ( e_dtSettings instanceof KeepConditions )
+            dtSettings = e_dtSettings.dtSettings();
 
-                // If were given the condition to retrieve the event name from, make sure it exists
-                else if (typeof oCondition[ c ] !== 'undefined' )
-                    event = oCondition[ c ].event;
+        // If this is from a jQuery event, then the data should be handed to us
+        else if ( typeof e_dtSettings.type !== 'undefined'
+            && typeof e_dtSettings.data.dtSettings !== 'undefined' )
+            dtSettings  = e_dtSettings.data.dtSettings;
 
-                // Abort if we were given an incorrect condition
-                else
-                    throw new Error(`Unknown condition specified: ${c}`);
+        // If we were handed an instance of the DataTables API, we can get the settings from that
+        else if ( e_dtSettings instanceof $.fn.dataTable.Api )
+            dtSettings = e_dtSettings.settings()[0];
 
-                // Detach event callback
-                this._dtApi.on(`${event}.${this._eventNamespace}`, KeepConditions.structureHash.bind( KeepConditions ) );
-            });
-        }
+        // If its just a Table selector or something, get the new API instance
+        else if ( $.fn.DataTable.isDataTable( e_dtSettings ) )
+            dtSettings = new $.fn.dataTable.Api( e_dtSettings ).settings()[0];
 
-        // Whatever else
-        else {
-            // If we were given something that wasn't caught
-            console.warn( `Illegal parameter type for KeepConditions.attachEvent(), should be array or string, was: ${typeof condition}` );
-        }
+        else if ( $.isPlainObject( e_dtSettings ) && typeof $.isPlainObject( e_dtSettings.oKeepConditions ) )
+            dtSettings = e_dtSettings;
+
+        // Nothing else should be accepted, since the dtSettings is required
+        else
+            throw new Error('Unable to determine what you passed to KeepConditions.structureHash(), should be either an instance of KeepConditions, a proper jQuery event, or a DataTable instance with keepConditions enabled');
+
+        // If the event was triggered by the conditions being loaded into the table (EG: From
+        // the back/forward buttons), then the URL is already what it should be
+        if ( typeof e_dtSettings.type !== 'undefined' && dtSettings.oKeepConditions._processing === true )
+            return;
+
+        var kc          = dtSettings.oKeepConditions,
+            tableID     = $( new $.fn.dataTable.Api( dtSettings ).table( ).node( ) ).attr('id'),
+            components  = kc._keptConditions( );
+
+        // If were just retrieving the hash (EG: To be copied), then return it, without the table if
+        // a kc-preSave handler cancelled keeping its conditions... Conditions not kept in the URL
+        // query string are still structured as a URL hash
+        if ( retrieve === true )
+            return KeepConditions.locationHash( kc._storage === 'query' ? 'query' : 'hash', tableID,
+                components !== false ? kc.conditionsHash( components ) : '' );
+
+        if ( components === false )
+            return;
+
+        var conditions = kc.conditionsHash( components );
+
+        // Otherwise, have the storage adapter update the URL Hash (or wherever its kept)
+        if ( conditions.length > 0 )
+            KeepConditions.storage( kc._storage ).write( tableID, conditions, kc );
+        else
+            KeepConditions.storage( kc._storage ).clear( tableID, kc );
+
+        kc._lastHash = conditions;
+
+        kc._trigger( 'kc-save', [ components, conditions ] );
     }
 
     // -----------------------------------------------------------
 
     /**
-     * Process (Initial) URL Hash
+     * Location Hash
      *
-     * This is executed after KeepConditions has been initiated by DataTables, any conditions
-     * found in the URL hash will be parsed by the conditions onLoad( ) method (If the condition
-     * is enabled/initiated), then the table will be redrawn (if needed)
+     * Structure the query-like string of the URL hash (or query string), with the conditions hash
+     * value of a single table replaced, carefully not disturbing the conditions of any other tables
      *
+     * @param   {string}    location    Either 'hash' (default) or 'query'
+     * @param   {string}    tableId     ID of the table the conditions belong to
+     * @param   {string}    conditions  Conditions hash value (EG: fLondon:oa2:p3), or an empty
+     *                                  string to remove the table from the hash
      * @access  public
-     * @return  {void}
+     * @return  {string}
      */
-    processHash ( ) {
-        // Loop through each element in the hash, until we find an element whos key matches the table ID
-        $.each( KeepConditions.queryString( ), ( table, cons ) => {
-            // If somehow thers more than one condition for this table, just take the first one..
-            if ( $.isArray( cons ) || $.isPlainObject( cons ) )
-                cons = cons[0];
+    static locationHash ( location, tableId, conditions ) {
+        var hash        = {}, // End result hash (will be processed into URL hash)
+            urlHash     = []; // Gets joined by &
 
-            // Skip to the next hash element if this one isn't for the current table
-            if ( table !== this._tableId )
+        // Grab all the existing hashes - to carefully not disturb any conditions NOT for this table
+        $.each( KeepConditions.queryString( location ), ( table, cons ) => {
+            // @todo Might still want to continue if !cons, to clear conditions
+            if ( ! table && ! cons )
                 return;
 
-            // Loop through each condition within the Hash, which is delimited by :
-            $.each( cons.split( ':' ), ( i, c ) => {
-                let conKey      = c.charAt( 0 ),
-                    conVal      = c.substring( 1 ),
-                    conName     = this.nameByKey(conKey),
-                    oCondition  = this.conditions( )[ conName ];
+            // If this id isn't this table, store the hash and move on. Any parameters
+            // without a value (EG: ?debug) are kept as they are
+            if ( table !== tableId )
+                hash[ table ] = cons;
 
-                // Skip condition if its not enabled
-                if ( $.inArray(conName, this.getEnabledConditions( )) === -1)
-                    return;
+            // Were ignoring THIS table id because were going to re-create it
+        });
 
-                if ( typeof oCondition  === 'undefined' ){
-                    console.warn(`[keepConditions:' ${this._tableId}] No condition object found for condition key:`, conKey);
-                    return;
-                }
+        hash[ tableId ] = conditions;
 
-                // Have the condition object parse the hash
-                oCondition.onLoad( conVal );
-            });
+        $.each(hash, (table,conditions) => {
+            if( typeof conditions === 'undefined' ){
+                // The underscore is just the placeholder for an empty hash
+                if( table !== '_' )
+                    urlHash.push( table );
+            }
+            else if(conditions.length > 0)
+                urlHash.push(`${table}=${conditions}` );
+        } );
 
-            // Draw the table if needed
-            this._drawTable( );
-        });
+        return urlHash.join( '&' );
     }
 
     // -----------------------------------------------------------
 
     /**
-     * Enable Condition(s)
+     * Initiate (Main KeepConditions Plugin Functions)
      *
-     * Enable condition(s) to be managed via KeepConditions plugin - Basically just adds the condition(s) to
-     * this._enabledConditions. Conditions can be specified by either the full name,
-     * or the single character condition key
+     * Initiate the main KeepConditions plugin functionality, such as parsing the initial
+     * URL hash value and implementing the results in the table, attaching the enabled
+     * conditions to be managed to the associated Datatables events, etc etc.
      *
-     * @param   {string|array}  condition       DataTables condition(s) to enable, condition(s) can be
-     *                                          specified either by the full name, or the condition key
-     * @param   {boolean}       structureHash   Restructure the hash after said condition has been enabled
-     * @access  public
+     * @access  private
      * @return  {void}
      */
-    enableCondition ( condition, structureHash ) {
-        var done = false;
-
-        // Process multiple conditions to enable
-        if ( $.isArray( condition ) ){
-            $.each( condition, ( i, c ) => {
-                // If its a key, then get the name from the key
-                if ( c.length === 1 )
-                    c = this.nameByKey( c );
-
-                if ( this.conditions( c ) !== false ) {
-                    this._enabledConditions.push( c );
+    _init( ){
+        // Keep the initial state of the table, prior to loading the conditions into it
+        this._initial = this._initialState( );
 
-                    done = true;
-                }
-            });
-        }
-        else if ( typeof condition === 'string' ){
-            // If its a key, then get the name from the key
-            if ( condition.length === 1 )
-                condition = this.nameByKey( condition );
+        // Keep the initial values of any external inputs, prior to loading the conditions into them
+        $.each( this._inputs( ), ( param, $inputs ) => {
+            this._inputDefaults[ param ] = this._inputValue( $inputs );
+        });
 
-            if ( this.conditions( condition ) !== false ) {
-                this._enabledConditions.push( condition );
+        // Enable any enabled/initiated settings/Extensions/Plugins
+        this._collectEnabled();
 
-                done = true;
-            }
+        // If DataTables hasn't been initialized yet (KeepConditions was initiated on preInit.dt), then
+        // only the conditions that can be loaded prior to the first draw are loaded now, so the first
+        // draw (and server-side request) already has them. The rest are loaded via _initComplete()
+        if ( this._dtSettings._bInitComplete !== true ) {
+            this._initPending = true;
+            this.processHash();
+            return;
         }
 
-        // If a condition was successfully enabled, and were requested to update the hash, do eeet!
-        if ( structureHash === true && done === true )
-            KeepConditions.structureHash( this._dtSettings, false );
+        this._initComplete();
     }
 
     // -----------------------------------------------------------
 
     /**
-     * Disable Condition(s)
+     * Initiate Complete
      *
-     * Disable condition(s) from being managed via KeepConditions plugin - Basically just removes the
-     * condition(s) from this._enabledConditions. Conditions can be specified by either the full name,
-     * or the single character condition key
+     * Finish initiating KeepConditions once DataTables has been initialized (and the data has been
+     * loaded), enabling any conditions for extensions initialized since, attaching the conditions
+     * to their events, and loading the conditions that weren't loaded prior to the first draw
      *
-     * @param   {string|array}  condition       DataTables condition(s) to disable, condition(s) can be
-     *                                          specified either by the full name, or the condition key
-     * @param   {boolean}       structureHash   Restructure the hash after said condition has been disabled
-     * @access  public
+     * @access  private
      * @return  {void}
      */
-    disableCondition ( condition, structureHash ) {
-        var done = false;
+    _initComplete( ){
+        this._initPending = false;
 
-        // Process multiple conditions to disable
-        if ( $.isArray( condition ) ){
-            $.each( condition, ( i, c ) => {
-                // If its a key, then get the name from the key
-                if ( c.length === 1 )
-                    c = this.nameByKey( c );
+        // Enable any settings/Extensions/Plugins that were initiated after preInit.dt
+        this._collectEnabled();
 
-                if ( this.conditions( c ) !== false ) {
-                    this._enabledConditions.splice( $.inArray( c, this._enabledConditions ), 1 );
+        // Check if the events should be attached, they can be detached if the keepConditions
+        // setting is an object, with 'attachEvents' set to false
+        if( this._dtSettings.oInit.keepConditions === true
+            || typeof this._dtSettings.oInit.keepConditions === 'string'
+            || $.isArray( this._dtSettings.oInit.keepConditions )
+            || ($.isPlainObject( this._dtSettings.oInit.keepConditions )
+                && (typeof this._dtSettings.oInit.keepConditions.attachEvents === 'undefined'
+                    || this._dtSettings.oInit.keepConditions.attachEvents === true )))
+            this.attachEvents();
 
-                    done = true;
-                }
-            });
-        }
-        else if ( typeof condition === 'string' ){
-            // If its a key, then get the name from the key
-            if ( condition.length === 1 )
-                condition = this.nameByKey( condition );
+        // Keep the initial row sequence, prior to the rows being reordered by the conditions
+        if ( $.inArray( 'rowreorder', this._enabledConditions ) !== -1 )
+            this._rowOrder = this._rowSequence( );
 
-            if ( this.conditions( condition ) !== false ) {
-                this._enabledConditions.splice( $.inArray( condition, this._enabledConditions ), 1 );
+        // Keep snapshots of the conditions whenever they change, for undo()/redo()
+        if ( this._undoLimit > 0 )
+            this._attachUndo( );
 
-                done = true;
-            }
-        }
+        // Parse the URL hash value, have each condition object process it's associated
+        // hash element value, re-drawing the table accordingly
+        this.processHash();
 
-        // If a condition was successfully disabled, and were requested to update the hash, do eeet!
-        if ( structureHash === true && done === true )
-            KeepConditions.structureHash( this._dtSettings, false );
+        this._preLoaded     = [];
+        this._pendingLoad   = null;
+
+        // The conditions loaded from the URL are the first snapshot (What the first change is undone to)
+        this._snapshot( true );
     }
 
     // -----------------------------------------------------------
 
     /**
-     * Get Enabled Conditions
+     * Initial State
      *
-     * Returns a list of conditions being managed via plugin
+     * Retrieve the state the table was initialized with (Via its own DT init settings, such as
+     * order, search, pageLength, displayStart, searchCols, columns.visible and colReorder.order),
+     * which the conditions are kept relative to. So only what differs from it is kept in the hash,
+     * and resetting a condition restores it. Columns are kept by their original index (See
+     * _originalIndex()), since they may be reordered via ColReorder
      *
-     * @access  public
-     * @return  {array|boolean}     Array of conditions being kept, or false if none
+     * @access  private
+     * @return  {object}
      */
-    getEnabledConditions ( ) {
-        return this._enabledConditions.length > 0
-            ? $.unique( this._enabledConditions )
-            : false;
+    _initialState ( ){
+        var dtSettings  = this._dtSettings,
+            order       = dtSettings.aaSorting || [],
+            length      = this._dtApi.page.len( ),
+            colReorder  = dtSettings.oInit.colReorder,
+            page        = 0,
+            state;
+
+        // DataTables resets iInitDisplayStart (to -1) once drawn, after which (EG: When initiated
+        // manually, or on init.dt) the initial page is just the current page
+        if ( dtSettings._bInitComplete === true || dtSettings.iInitDisplayStart < 0 )
+            page = this._dtApi.page.info( ).page;
+        else if ( length > 0 )
+            page = Math.floor( ( dtSettings.iInitDisplayStart || 0 ) / length );
+
+        state = {
+            search:     $.extend( {}, dtSettings.oPreviousSearch ),
+            colsearch:  {},
+            colvis:     {},
+            length:     length,
+            page:       Math.max( page || 0, 0 ),
+            colorder:   $.isPlainObject( colReorder ) && $.isArray( colReorder.order ) ? colReorder.order.slice( ) : null
+        };
+
+        // A single column can be ordered by just the [ col, dir ] pair
+        if ( order.length !== 0 && ! $.isArray( order[ 0 ] ) )
+            order = [ order ];
+
+        state.order = $.map( order, o => [ [ this._originalIndex( o[ 0 ] ), String( o[ 1 ] ).toLowerCase( ) ] ] );
+
+        $.each( dtSettings.aoColumns, ( colIdx, column ) => {
+            state.colsearch[ this._originalIndex( colIdx ) ] = $.extend( {}, dtSettings.aoPreSearchCols[ colIdx ] );
+            state.colvis[ this._originalIndex( colIdx ) ]    = column.bVisible !== false;
+        });
+
+        return state;
     }
 
     // -----------------------------------------------------------
 
     /**
-     * Condition Name by Key
-     *
-     * Return the name of a condition (search, length, colorder), given the key (f, l, c). Useful for
-     * when referencing conditions using the keys from the hash value
+     * Initial Order
      *
-     * @param   {string}    key     Key of condition (Single alpha value, usually first name of
-     *                              condition, but not always)
-     * @access  public
-     * @return  {string}    Full condition name (name of condition within this.conditions( ) obj)
+     * @access  private
+     * @return  {array}     Initial order of the table (See _initialState()), by the current column
+     *                      indexes, EG: [ [ 3, 'desc' ] ]
      */
-    nameByKey ( key ){
-        return this._keysToCons[ key ] || false
+    _initialOrder ( ){
+        return $.map( this._initial.order || [], o => [ [ this._currentIndex( o[ 0 ] ), o[ 1 ] ] ] );
     }
 
     // -----------------------------------------------------------
 
     /**
-     * Conditions Manager
+     * Collect Enabled (Conditions)
+     *
+     * Set any conditions that are enabled in the keepConditions initial settings, by adding them
+     * to the enabledConditions
+     */
+    _collectEnabled(){
+        // Loop through all available conditions, checking if enabled
+        $.each( this.conditions( ), ( sCondition, oCondition ) =>  {
+
+            // Check if condition is enabled in plugin settings, and if the table was initialized
+            // with said setting/extension/plugin (The latter is unique per condition, so each
+            // condition object has it's own method to check if table was init with condition)
+            if ( ! this._isEnabled( sCondition ) || ! oCondition.isInit( ) )
+                return;
+
+            // Add it to the enabled conditions list/array
+            this.enableCondition( sCondition );
+        });
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Map (Condition) Keys (To Condition Names)
+     *
+     * Executed by _keysToCons to basically map each conditions key to the condition name,
+     * primarily used to associate the condition keys within the hash string to the condition
+     * name themselves.
+     *
+     * @access  private
+     * @return  {object}    Returns: { f: 'search', l: 'length', ... }
+     */
+    _keyMap ( ) {
+        return ( conditions => {
+            let ret = {};
+
+            $.each( conditions, ( name, con ) => {
+                ret[ con.key ] = name;
+            });
+
+            return ret;
+        } )( this.conditions( ) );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Is (Specific Condition) Enabled
+     *
+     * Check if a specific condition is enabled to be managed via KeepConditions
+     * plugin. Condition(s) can be enabled if the DT setting 'keepConditions' is
+     * simply 'true', which would enable all available conditions, or it can be
+     * a string of condition keys, or an array of condition names, or an object,
+     * which may contain a 'conditions' property, which can also be either an
+     * array of enabled conditions, or a string of condition names, or if it is
+     * undefined, then all available conditions are enabled.
+     * Note: This does not validate if the associated setting/extension/plugin
+     * is enabled within DataTables, but rather just set to be managed via
+     * KeepConditions
+     *
+     * @param   {string}    condition   Condition name to validate
+     * @access  private
+     * @return  {boolean}
+     */
+    _isEnabled ( condition ){
+        var options = this._dtSettings.oInit.keepConditions;
+
+        // If were verifying a condition status by the key...
+        if ( condition.length === 1 ) {
+            // Attempt to get the name, if it fails, throw an error..
+            var name = this.nameByKey( condition );
+
+            if ( ! condition )
+                throw new Error(`Unable to find an existing condition with the key '${condition}'`);
+
+            // .. Otherwise, set the condition to the retreived name and continue
+            condition = name;
+        }
+        // If were verifying by the name, and the name wasn't found...
+        else if ( this.conditions( condition ) === false ) {
+            throw new Error(`Unable to find an existing condition with the name '${condition}'`);
+        }
+
+        // Return the result based on the initial DT 'keepConditions' value, (Details on
+        // logic process in the above DocBlock comment)
+        return (
+            // A) If the initial 'keepConditions' is 'true', just say yes to all conditions
+            options === true
+                // If its undefined (This should only happen if KeepConditions is being
+                // initialized via manually executing: new KeepConditions( table )
+                || typeof options === 'undefined'
+                // B) If the init config is a string of conditions (by keys)..
+                || ( typeof options === 'string'
+                    && options.indexOf( this.conditions( condition ).key ) !== -1 )
+                // C) If the init config is an array of enabled conditions..
+                || ( $.isArray(options)
+                    && $.inArray( condition, options ) !== -1 )
+                // D) If the init config is an object without any 'conditions' property..
+                || ( $.isPlainObject(options)
+                    && typeof options.conditions === 'undefined' )
+                // E) If the init configs 'conditions' property is an array of conditions..
+                || ( $.isPlainObject(options) && $.isArray(options.conditions)
+                    && $.inArray( condition, options.conditions ) !== -1 )
+                // F) If the init configs 'conditions' property is a string of conditions (by keys)..
+                || ( $.isPlainObject(options) && typeof options.conditions === 'string'
+                    && options.conditions.indexOf( this.conditions( condition ).key ) !== -1 )
+        );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Redraw the table
+     *
+     * This is mainly ran after all the onLoads have done for the conditions, instead of drawing the
+     * table after each condition is loaded, they will set _shouldDraw to true, then execute this,
+     * and this will check the _shouldDraw, then draw if necessary, and reset _shouldDraw.
+     *
+     * @param   {boolean}   force           Force the draw, regardless of the value of this._shouldDraw
+     * @param   {boolean}   resetPaging     Reset the paging or not (Sending view to first page)
+     * @access  private
+     * @return  {void}
+     */
+    _drawTable ( force, resetPaging ) {
+        if ( this._shouldDraw === true || force === true ) {
+            this._dtApi.draw( resetPaging === true );
+            this._shouldDraw = false;
+        }
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * (KeepConditions) Option
+     *
+     * Retrieve a KeepConditions setting, which is taken from the keepConditions DT init
+     * setting (if it's an object with said setting), or KeepConditions.defaults otherwise
+     *
+     * @param   {string}    name    Name of the setting
+     * @access  private
+     * @return  {*}
+     */
+    _option ( name ){
+        var options = this._dtSettings.oInit.keepConditions;
+
+        if ( $.isPlainObject( options ) && typeof options[ name ] !== 'undefined' )
+            return options[ name ];
+
+        return KeepConditions.defaults[ name ];
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * (Condition) Debounce
+     *
+     * Retrieve how long (ms) the URL update should wait for after an event of the specified
+     * condition, which is taken from the 'debounce' setting (either a number for all conditions,
+     * or an object of numbers by condition name), or the conditions own default otherwise
+     *
+     * @param   {string}    condition   Condition name (or undefined if unknown)
+     * @access  private
+     * @return  {number}
+     */
+    _debounce ( condition ){
+        var debounce    = this._option( 'debounce' ),
+            oCondition  = typeof condition === 'string' ? this.conditions( condition ) : false;
+
+        if ( typeof debounce === 'number' )
+            return debounce;
+
+        if ( $.isPlainObject( debounce ) && typeof debounce[ condition ] === 'number' )
+            return debounce[ condition ];
+
+        return ( oCondition && oCondition.debounce ) || 0;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Queue (URL) Hash (Update)
+     *
+     * This is what's attached to the events of each condition. The URL update is debounced, so a
+     * burst of events (EG: Typing in the search input, or scrolling via Scroller) only results in
+     * a single update. If an update is already pending, then it waits for whichever is longer
+     *
+     * @param   {object}    e   jQuery event (containing data for dtSettings and the condition)
+     * @access  private
+     * @return  {void}
+     */
+    _queueHash ( e ){
+        // Ignore events caused by the conditions being loaded into the table
+        if ( this._processing === true )
+            return;
+
+        // Only debounce the event if the value of its condition was actually changed, since some
+        // events (EG: search.dt) are triggered on every draw
+        var wait = Math.max(
+            this._isChanged( e.data.condition ) ? this._debounce( e.data.condition ) : 0,
+            this._hashTimer !== null ? this._hashWait : 0 );
+
+        this._cancelHash( );
+
+        if ( wait <= 0 ) {
+            KeepConditions.structureHash( e );
+            return;
+        }
+
+        this._hashWait  = wait;
+        this._hashTimer = setTimeout( ( ) => {
+            this._hashTimer = null;
+            this._hashWait  = 0;
+
+            KeepConditions.structureHash( this._dtSettings );
+        }, wait );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Is (Condition) Changed
+     *
+     * Check if the hash component of a condition differs from the one last written to the URL
+     *
+     * @param   {string}    condition   Condition name (or undefined if unknown)
+     * @param   {string}    hash        (Optional) Conditions hash value to compare against, instead
+     *                                  of the one last written to the URL
+     * @access  private
+     * @return  {boolean}
+     */
+    _isChanged ( condition, hash ){
+        var oCondition = typeof condition === 'string' ? this.conditions( condition ) : false;
+
+        if ( ! oCondition )
+            return true;
+
+        let current = oCondition.isset( ) ? `${oCondition.key}${oCondition.newHashVal( )}` : '',
+            last    = $.grep( ( typeof hash === 'string' ? hash : this._lastHash ).split( ':' ),
+                c => c.charAt( 0 ) === oCondition.key )[ 0 ] || '';
+
+        return current !== last;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Cancel (Pending URL) Hash (Update)
+     *
+     * @access  private
+     * @return  {void}
+     */
+    _cancelHash ( ){
+        if ( this._hashTimer === null )
+            return;
+
+        clearTimeout( this._hashTimer );
+
+        this._hashTimer = null;
+        this._hashWait  = 0;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Column ID
+     *
+     * Retrieve what a column is identified by within the hash, which is either the column index,
+     * or the columns.name or columns.data value (depending on the 'columnIds' setting). Columns
+     * without a name (or data) value are identified by their original index, prefixed with a ~ (EG:
+     * ~2), so they can't be mistaken for a column named after an index
+     *
+     * @param   {number}    colIdx      Index of the column
+     * @param   {boolean}   original    The index is the original index of the column (As in, before
+     *                                  any of the columns were reordered via ColReorder)
+     * @access  private
+     * @return  {string}    Column ID (not encoded)
+     */
+    _columnId ( colIdx, original ){
+        var columns = this._dtSettings.aoColumns,
+            id;
+
+        if ( this._columnIds === 'index' )
+            return String( colIdx );
+
+        // Find the current index of the column, if given the original index
+        if ( original === true )
+            colIdx = this._currentIndex( colIdx );
+
+        id = this._columnIds === 'name'
+            ? columns[ colIdx ].sName
+            : columns[ colIdx ].mData;
+
+        return ( typeof id === 'string' && id.length !== 0 ) || typeof id === 'number'
+            ? String( id )
+            : `~${this._originalIndex( colIdx )}`;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Column Index
+     *
+     * Retrieve the index of a column from what it was identified by within the hash (See
+     * _columnId()). If the column no longer exists, a warning is shown and -1 is returned, so the
+     * value kept for the column can be ignored, instead of being applied to the wrong column
+     *
+     * @param   {string}    id          Column ID (decoded)
+     * @param   {boolean}   original    Return the original index of the column (As in, before
+     *                                  any of the columns were reordered via ColReorder)
+     * @access  private
+     * @return  {number}    Column index, or -1 if not found
+     */
+    _columnIndex ( id, original ){
+        var colIdx = -1;
+
+        if ( this._columnIds === 'index' ) {
+            if ( /^\d+$/.test( id ) && parseInt( id ) < this._dtSettings.aoColumns.length )
+                colIdx = parseInt( id );
+
+            // Map the index onto the columns as they're ordered now (See _columnLayout())
+            if ( colIdx !== -1 && this._hashLayout !== null && original !== true )
+                colIdx = this._currentIndex( this._hashLayout[ colIdx ] );
+        }
+        else {
+            // Columns without a name (or data) value used to be identified by their bare original
+            // index, so keep loading those (unless a column is named after the index)
+            $.each( /^\d+$/.test( id ) ? [ id, `~${id}` ] : [ id ], ( n, columnId ) => {
+                $.each( this._dtSettings.aoColumns, ( i ) => {
+                    if ( this._columnId( i ) === columnId ) {
+                        colIdx = original === true ? this._originalIndex( i ) : i;
+                        return false;
+                    }
+                });
+
+                return colIdx === -1;
+            });
+        }
+
+        if ( colIdx === -1 )
+            console.warn(`[keepConditions:${this._tableId}] Unable to find the column '${id}', ignoring it`);
+
+        return colIdx;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Original (Column) Index
+     *
+     * @param   {number}    colIdx  Current index of the column
+     * @access  private
+     * @return  {number}    Index of the column before any columns were reordered via ColReorder
+     */
+    _originalIndex ( colIdx ){
+        var origIdx = this._dtSettings.aoColumns[ colIdx ]._ColReorder_iOrigCol;
+
+        return typeof origIdx === 'number' ? origIdx : colIdx;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Current (Column) Index
+     *
+     * @param   {number}    origIdx Index of the column before any columns were reordered via ColReorder
+     * @access  private
+     * @return  {number}    Current index of the column
+     */
+    _currentIndex ( origIdx ){
+        var colIdx = origIdx;
+
+        $.each( this._dtSettings.aoColumns, ( i ) => {
+            if ( this._originalIndex( i ) === origIdx ) {
+                colIdx = i;
+                return false;
+            }
+        });
+
+        return colIdx;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Column Search
+     *
+     * @param   {number}    colIdx      Current index of the column
+     * @param   {boolean}   initial     Retrieve the initial search of the column (See _initialState())
+     * @access  private
+     * @return  {string}    Search of the column, encoded via KeepConditions.encodeSearch() (or an
+     *                      empty string if the column isn't searched)
+     */
+    _columnSearch ( colIdx, initial ){
+        var search = initial === true
+            ? this._initial.colsearch[ this._originalIndex( colIdx ) ]
+            : this._dtSettings.aoPreSearchCols[ colIdx ];
+
+        return search && search.sSearch
+            ? KeepConditions.encodeSearch( search )
+            : '';
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Search Value
+     *
+     * @param   {object}    oSearch     DataTables search object (EG: oPreviousSearch)
+     * @access  private
+     * @return  {string|object}         The search string, or if any of the search flags aren't the
+     *                                  defaults, an object of the search and its flags, as the
+     *                                  search() API method params (See KeepConditions.decodeSearch())
+     */
+    _searchValue ( oSearch ){
+        var search = KeepConditions.decodeSearch( KeepConditions.encodeSearch( oSearch ) );
+
+        return search.regex || ! search.smart || ! search.caseInsensitive
+            ? search
+            : search.search;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Encode Search Value
+     *
+     * @param   {string|object}     value   Search value (See _searchValue())
+     * @access  private
+     * @return  {string}    Encoded search (See KeepConditions.encodeSearch())
+     */
+    _encodeSearchValue ( value ){
+        if ( ! $.isPlainObject( value ) )
+            value = { search: value };
+
+        return KeepConditions.encodeSearch( {
+            sSearch:            value.search === null || typeof value.search === 'undefined' ? '' : String( value.search ),
+            bRegex:             value.regex === true,
+            bSmart:             value.smart !== false,
+            bCaseInsensitive:   value.caseInsensitive !== false
+        } );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Fill Column (Search) Inputs
+     *
+     * Set the value of the inputs/selects within the footer of each column to the current search
+     * value of said column, so they reflect the column searches loaded from the hash. Which
+     * elements get filled can be set via the 'columnInputs' setting (false to disable)
+     *
+     * @access  private
+     * @return  {void}
+     */
+    _fillColumnInputs ( ){
+        var selector = this._option( 'columnInputs' );
+
+        if ( ! selector )
+            return;
+
+        this._dtApi.columns( ).every( colIdx => {
+            let footer = this._dtApi.column( colIdx ).footer( );
+
+            if ( footer )
+                $( footer ).find( selector ).val( this._dtApi.column( colIdx ).search( ) );
+        } );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * (External) Inputs
+     *
+     * Retrieve the inputs outside of the table that are bound to it (EG: Inputs used by custom
+     * $.fn.dataTable.ext.search filters), which are set via the 'inputs' setting (an object of
+     * parameter names and selectors), or via a data-kc-param attribute (the parameter name) on
+     * elements with a data-kc-table attribute of the table ID
+     *
+     * @access  private
+     * @return  {object}    jQuery collections of the inputs, by parameter name
+     */
+    _inputs ( ){
+        var inputs = {};
+
+        $.each( this._option( 'inputs' ) || {}, ( param, selector ) => {
+            if ( $( selector ).length !== 0 )
+                inputs[ param ] = $( selector );
+        });
+
+        $( `[data-kc-param][data-kc-table="${this._tableId}"]` ).each( ( i, input ) => {
+            let param = $( input ).attr( 'data-kc-param' );
+
+            inputs[ param ] = typeof inputs[ param ] !== 'undefined'
+                ? inputs[ param ].add( input )
+                : $( input );
+        });
+
+        return inputs;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * (External) Input Value
+     *
+     * Retrieve the (encoded) value of an external input parameter. Checkboxes, radios and multiple
+     * selects are kept as a list of the checked/selected values, delimited by a ,
+     *
+     * @param   {object}    $inputs     jQuery collection of the inputs of the parameter
+     * @access  private
+     * @return  {string}
+     */
+    _inputValue ( $inputs ){
+        var value;
+
+        if ( $inputs.is( ':checkbox, :radio' ) )
+            value = $.map( $inputs.filter( ':checked' ).get( ), input => input.value );
+        else
+            value = $inputs.first( ).val( );
+
+        if ( $.isArray( value ) )
+            return $.map( value, v => KeepConditions.encode( v ) ).join( ',' );
+
+        return KeepConditions.encode( value || '' );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Set (External) Input Value
+     *
+     * @param   {object}    $inputs     jQuery collection of the inputs of the parameter
+     * @param   {string}    value       Value of the parameter (encoded, see _inputValue())
+     * @access  private
+     * @return  {void}
+     */
+    _setInputValue ( $inputs, value ){
+        if ( $inputs.is( ':checkbox, :radio, select[multiple]' ) )
+            $inputs.val( value.length !== 0 ? $.map( value.split( ',' ), v => decodeURIComponent( v ) ) : [] );
+        else
+            $inputs.val( decodeURIComponent( value ) );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Has Row ID
+     *
+     * Check if the rows of the table have a stable identity, via the rowId DT init setting (or
+     * the DataTables defaults), which is required by any conditions keeping specific rows
+     *
+     * @access  private
+     * @return  {boolean}
+     */
+    _hasRowId ( ){
+        return typeof this._dtSettings.oInit.rowId !== 'undefined'
+            || this._dtDefaults.rowId !== 'DT_RowId';
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Row Indexes
+     *
+     * Retrieve the indexes of the rows with the specified row IDs, any rows not found (EG: Rows
+     * no longer in the data, or not on the current page of a server-side table) are left out
+     *
+     * @param   {array}     ids     Row IDs
+     * @access  private
+     * @return  {object}    Row indexes, by row ID
+     */
+    _rowIndexes ( ids ){
+        var rows    = this._dtApi.rows( ),
+            rowIds  = rows.ids( ).toArray( ),
+            result  = {};
+
+        rows.indexes( ).each( ( rowIdx, i ) => {
+            if ( $.inArray( rowIds[ i ], ids ) !== -1 )
+                result[ rowIds[ i ] ] = rowIdx;
+        });
+
+        return result;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Row Sequence
+     *
+     * Retrieve the order of the rows as reordered via RowReorder, which is the order of the values
+     * of the RowReorder dataSrc of each row
+     *
+     * @access  private
+     * @return  {object}    The row IDs, and the (sorted) dataSrc values: { ids: [...], values: [...] }
+     */
+    _rowSequence ( ){
+        var getData     = $.fn.dataTable.ext.oApi._fnGetObjectDataFn( this._dtSettings.rowreorder.c.dataSrc ),
+            rows        = this._dtApi.rows( ),
+            ids         = rows.ids( ).toArray( ),
+            isNumber    = v => ! isNaN( parseFloat( v ) ) && isFinite( v ),
+            sequence    = rows.data( ).toArray( ).map( ( data, i ) => ( { id: ids[ i ], value: getData( data ) } ) );
+
+        // Sort the rows by their dataSrc values, numerically if possible
+        sequence.sort( ( a, b ) => {
+            let x = a.value,
+                y = b.value;
+
+            if ( isNumber( x ) && isNumber( y ) ) {
+                x = parseFloat( x );
+                y = parseFloat( y );
+            }
+
+            return x < y ? -1 : ( x > y ? 1 : 0 );
+        });
+
+        return {
+            ids:    sequence.map( row => row.id ),
+            values: sequence.map( row => row.value )
+        };
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Set Row Sequence
+     *
+     * Reorder the rows (As RowReorder would), by handing the initial dataSrc values (See
+     * _rowOrder) to the rows in the order specified
+     *
+     * @param   {array}     ids     Row IDs, in the new order
+     * @access  private
+     * @return  {void}
+     */
+    _setRowSequence ( ids ){
+        var setData = $.fn.dataTable.ext.oApi._fnSetObjectDataFn( this._dtSettings.rowreorder.c.dataSrc ),
+            rows    = this._rowIndexes( ids );
+
+        $.each( ids, ( i, id ) => {
+            if ( typeof rows[ id ] !== 'undefined' )
+                setData( this._dtApi.row( rows[ id ] ).data( ), this._rowOrder.values[ i ] );
+        });
+
+        this._dtApi.rows( ).invalidate( 'data' );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * (SearchPanes) Panes
+     *
+     * Retrieve the panes of the SearchPanes extension, along with what each pane is identified by
+     * within the hash, which is the column ID (See _columnId()) for column panes, or the pane
+     * index for custom panes
+     *
+     * @access  private
+     * @return  {object}    SearchPane instances, by pane ID
+     */
+    _searchPanes ( ){
+        var panes = {};
+
+        $.each( this._dtSettings._searchPanes.s.panes || [], ( i, pane ) => {
+            if ( typeof pane === 'undefined' || typeof pane.s.dtPane === 'undefined' )
+                return;
+
+            panes[ pane.s.index < this._dtSettings.aoColumns.length
+                ? this._columnId( pane.s.index )
+                : String( pane.s.index ) ] = pane;
+        });
+
+        return panes;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * SearchPanes Supported
+     *
+     * The panes of the SearchPanes extension (and their selections) aren't available via its API, so
+     * the searchpanes condition relies on its internals (See _searchPanes()), which is limited to the
+     * versions it's been tested with (1.2 through 2.x). Any other version is warned about (once)
+     *
+     * @access  private
+     * @return  {boolean}
+     */
+    _searchPanesSupported ( ){
+        var version     = String( $.fn.dataTable.SearchPanes.version || '' ),
+            parts       = $.map( version.split( '.' ), v => parseInt( v, 10 ) ),
+            supported   = ( parts[ 0 ] === 1 && parts[ 1 ] >= 2 ) || parts[ 0 ] === 2;
+
+        if ( ! supported && this._searchPanesWarned === false ) {
+            console.warn(`[keepConditions:${this._tableId}] SearchPanes ${version} isn't supported (1.2 through 2.x are), not keeping the searchpanes condition`);
+            this._searchPanesWarned = true;
+        }
+
+        return supported;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Child Row Toggle
+     *
+     * Retrieve how the child rows of the table are opened/closed, which is set via the 'childRows'
+     * setting (either a function, or a selector of the element within each row to click), or
+     * the details target of the Responsive extension otherwise
+     *
+     * @access  private
+     * @return  {function|string|number|boolean}   False if the table has no child rows to keep
+     */
+    _childRowToggle ( ){
+        var option      = this._option( 'childRows' ),
+            responsive  = this._dtSettings._responsive;
+
+        if ( typeof option === 'function' || ( typeof option === 'string' && option.length !== 0 ) )
+            return option;
+
+        if ( option !== false && typeof responsive !== 'undefined' && $.isPlainObject( responsive.c.details ) )
+            return responsive.c.details.target;
+
+        return false;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Child Row Selector
+     *
+     * Retrieve the selector of the elements within the table that clicks are handled for by the
+     * childrows condition, which is the toggle itself if it's a selector. The cells of the rows
+     * are used for a column toggle (As Responsive does), and the rows for a 'childRows' function
+     *
+     * @access  private
+     * @return  {string|boolean}    False if the table has no child rows to keep
+     */
+    _childRowSelector ( ){
+        var toggle = this._childRowToggle( );
+
+        if ( typeof toggle === 'string' )
+            return toggle;
+
+        if ( typeof toggle === 'number' )
+            return 'tbody > tr > td, tbody > tr > th';
+
+        if ( typeof toggle === 'function' )
+            return 'tbody > tr';
+
+        return false;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Set Child Rows
+     *
+     * Open the child rows of the rows (on the current page) with the specified row IDs, closing
+     * any others. The function set via the 'childRows' setting is handed the row API instance,
+     * and whether to show or hide the child row. Otherwise the toggle element of the row is clicked
+     *
+     * @param   {array}     ids     Row IDs of the rows to open
+     * @access  private
+     * @return  {void}
+     */
+    _setChildRows ( ids ){
+        var toggle = this._childRowToggle( );
+
+        this._dtApi.rows( { page: 'current' } ).every( rowIdx => {
+            let row     = this._dtApi.row( rowIdx ),
+                show    = $.inArray( row.id( ), ids ) !== -1;
+
+            if ( row.child.isShown( ) === show )
+                return;
+
+            if ( typeof toggle === 'function' )
+                toggle.call( this._dtApi, row, show );
+
+            else if ( typeof toggle === 'number' )
+                $( this._dtApi.cell( rowIdx, toggle < 0 ? this._dtApi.columns( ).indexes( ).length + toggle : toggle ).node( ) ).trigger( 'click' );
+
+            // The toggle may be the row itself (EG: Responsive's details.target of 'tr')
+            else if ( $( row.node( ) ).is( toggle ) )
+                $( row.node( ) ).trigger( 'click' );
+
+            else
+                $( row.node( ) ).find( toggle ).first( ).trigger( 'click' );
+        });
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Show Row
+     *
+     * Show the row with the specified row ID (for the row condition), by moving the pagination to
+     * the page containing it (or scrolling to it via Scroller), then highlighting it for a short
+     * time (See the 'rowHighlight' and 'rowHighlightDuration' settings)
+     *
+     * @param   {string}    id  Row ID
+     * @access  private
+     * @return  {void}
+     */
+    _showRow ( id ){
+        var rowIdx = this._rowIndexes( [ id ] )[ id ];
+
+        if ( typeof rowIdx === 'undefined' ) {
+            console.warn(`[keepConditions:${this._tableId}] Unable to find the row '${id}', ignoring it`);
+            return;
+        }
+
+        let row         = this._dtApi.row( rowIdx ),
+            className   = this._option( 'rowHighlight' ),
+            duration    = this._option( 'rowHighlightDuration' ),
+            position    = this._dtApi.rows( { search: 'applied', order: 'applied' } ).indexes( ).indexOf( rowIdx ),
+            highlight   = ( ) => {
+                if ( ! className )
+                    return;
+
+                $( row.node( ) ).addClass( className );
+
+                if ( duration > 0 )
+                    setTimeout( ( ) => $( row.node( ) ).removeClass( className ), duration );
+            };
+
+        if ( position === -1 ) {
+            console.warn(`[keepConditions:${this._tableId}] The row '${id}' is filtered out of the table, ignoring it`);
+            return;
+        }
+
+        // Scroller draws the rows once scrolled to them
+        if ( typeof this._dtSettings.oScroller !== 'undefined' ) {
+            this._dtApi.one( 'draw.dt', highlight );
+            this._dtApi.scroller.toPosition( position, false );
+            return;
+        }
+
+        // Server-side tables only have the rows of the current page, so there's nothing to page to
+        if ( ! this._dtSettings.oFeatures.bServerSide && this._dtApi.page.len( ) > 0
+            && Math.floor( position / this._dtApi.page.len( ) ) !== this._dtApi.page( ) )
+            this._dtApi.page( Math.floor( position / this._dtApi.page.len( ) ) ).draw( false );
+
+        highlight( );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Drop Row Link
+     *
+     * The row condition is only linked to, so once the row has been shown, the URL is replaced with
+     * the conditions of the table without it (Without adding to the browser history). Otherwise the
+     * link would be followed again whenever the URL changes (EG: For another table on the page)
+     *
+     * @access  private
+     * @return  {void}
+     */
+    _dropRowLink ( ){
+        var components;
+
+        // Conditions kept outside of the URL were removed from it already (See _clearUrlConditions())
+        if ( $.inArray( this._storage, [ 'hash', 'query' ] ) === -1 )
+            return;
+
+        components = this._keptConditions( );
+
+        if ( components === false )
+            return;
+
+        KeepConditions.updateLocation( this._storage,
+            KeepConditions.locationHash( this._storage, this._tableId, this.conditionsHash( components ) ), 'replace' );
+    }
+
+    // -----------------------------------------------------------
+
+    _lang( key, string ){
+
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Structure Hash (Conditions)
+     *
+     * Basically a non-static value of KeepConditions.structureHash(), mainly
+     * used via the API Methods
+     *
+     * @param   {boolean}   retrieve        Return the hash value, as opposed
+     *                                      to updating the URL hash
+     * @access  public
+     * @return  {void|string}   Either returns the hash string, or updates hash
+     */
+    structureHash( retrieve ){
+        return KeepConditions.structureHash( this._dtSettings, retrieve );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Get (Conditions)
+     *
+     * Retrieve the conditions currently set for the table (and not at their initial state), as a
+     * plain object by condition name. The values are structured by each condition (EG: { search:
+     * 'London', order: [ [ 2, 'asc' ] ], page: 3 }), any condition without a value() method is
+     * given as its hash value
+     *
+     * @access  public
+     * @return  {object}
+     */
+    get( ){
+        var values = {};
+
+        $.each( this._currentConditions( ), ( name, hashVal ) => {
+            let oCondition = this.conditions( name );
+
+            values[ name ] = typeof oCondition.value === 'function'
+                ? oCondition.value( )
+                : hashVal;
+        });
+
+        return values;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Set (Conditions)
+     *
+     * Load conditions into the table from a plain object by condition name (As returned by get()),
+     * just as if they were loaded from the URL. Each value is encoded into the hash value of the
+     * condition via its encode() method (or given as the hash value, for conditions without one),
+     * and then loaded via its onLoad() method. Conditions not given are left as they are
+     *
+     * @param   {object}    values      Condition values by condition name
+     * @param   {object}    options     (Optional) redraw: Redraw the table (default true), save:
+     *                                  Update the URL hash afterwards (default true)
+     * @access  public
+     * @return  {void}
+     */
+    set( values, options ){
+        if ( this._initPending ) {
+            console.warn(`[keepConditions:${this._tableId}] Conditions can't be set prior to the table being initialized`);
+            return;
+        }
+
+        this._apply( this._encodeValues( values ), false, options );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Encode (Condition) Values
+     *
+     * Encode condition values by condition name (As returned by get()) into their hash values, via
+     * the encode() method of each condition (or as is, for conditions without one)
+     *
+     * @param   {object}    values  Condition values by condition name
+     * @access  private
+     * @return  {object}    Hash values by condition name, EG: { search: 'London', order: 'a2' }
+     */
+    _encodeValues( values ){
+        var components  = {},
+            enabled     = this.getEnabledConditions( ) || [];
+
+        $.each( values || {}, ( name, value ) => {
+            let oCondition = this.conditions( name );
+
+            if ( oCondition === false || $.inArray( name, enabled ) === -1 ) {
+                console.warn(`[keepConditions:${this._tableId}] The condition '${name}' isn't enabled, ignoring it`);
+                return;
+            }
+
+            if ( value === null || typeof value === 'undefined' )
+                return;
+
+            components[ name ] = typeof oCondition.encode === 'function'
+                ? oCondition.encode( value )
+                : String( value );
+        });
+
+        return components;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Apply (Conditions)
+     *
+     * Load the hash values of the conditions into the table (just as processHash() does for the
+     * conditions in the URL), redraw it and update the URL hash, depending on the options
+     *
+     * @param   {object}    components      Hash values by condition name
+     * @param   {boolean}   resetMissing    Reset the enabled conditions without a hash value
+     * @param   {object}    options         (Optional) redraw: Redraw the table (default true), save:
+     *                                      Update the URL hash afterwards (default true), record:
+     *                                      Add the previous conditions to the undo stack (default true)
+     * @access  private
+     * @return  {boolean}   False if loading the conditions was cancelled by a kc-preLoad handler
+     */
+    _apply( components, resetMissing, options ){
+        var drawn   = false,
+            loaded;
+
+        options = $.extend( { redraw: true, save: true, record: true }, options );
+
+        this._flushSnapshot( );
+
+        loaded = ( ) => {
+            if ( options.save !== false )
+                KeepConditions.structureHash( this._dtSettings );
+
+            this._snapshot( options.record === false );
+        };
+
+        // Let the kc-preLoad handlers change the conditions being loaded, or cancel loading them
+        if ( ! this._trigger( 'kc-preLoad', [ components ] ) )
+            return false;
+
+        this._cancelHash( );
+
+        this._processing = true;
+
+        try {
+            this._loadConditions( components, resetMissing === true );
+
+            if ( options.redraw === false ) {
+                this._shouldDraw = false;
+            }
+            else {
+                drawn = this._shouldDraw;
+                this._drawTable( );
+            }
+        }
+        finally {
+            this._processing = false;
+        }
+
+        // Update the URL (and take a snapshot) once everything is loaded (EG: The scroll position,
+        // once drawn)
+        if ( this._loadCallbacks.length !== 0 )
+            this._loadCallbacks.push( loaded );
+        else
+            loaded( );
+
+        this._loaded( drawn, components );
+
+        return true;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Reset (Conditions)
+     *
+     * Reset the enabled conditions (or just the given ones) back to the initial state of the table
+     * (See _initialState()) via their onReset() methods, with a single redraw, and then update the
+     * URL hash, which drops the table from it entirely once all its conditions are reset
+     *
+     * @param   {string|array}  conditions  (Optional) Condition name(s) or key(s) to reset, all the
+     *                                      enabled conditions are reset otherwise
+     * @access  public
+     * @return  {void}
+     */
+    reset( conditions ){
+        var enabled = this.getEnabledConditions( ) || [],
+            names   = enabled,
+            drawn   = false;
+
+        if ( this._initPending ) {
+            console.warn(`[keepConditions:${this._tableId}] Conditions can't be reset prior to the table being initialized`);
+            return;
+        }
+
+        this._flushSnapshot( );
+
+        if ( typeof conditions !== 'undefined' && conditions !== null ) {
+            names = $.map( $.isArray( conditions ) ? conditions : [ conditions ],
+                c => c.length === 1 ? this.nameByKey( c ) || c : c );
+
+            $.each( names, ( i, name ) => {
+                if ( $.inArray( name, enabled ) === -1 )
+                    console.warn(`[keepConditions:${this._tableId}] The condition '${name}' isn't enabled, not resetting it`);
+            });
+        }
+
+        this._cancelHash( );
+
+        this._processing = true;
+
+        try {
+            // Reset in the order the conditions are enabled (EG: The page after the length)
+            $.each( enabled, ( i, name ) => {
+                let oCondition = this.conditions( name );
+
+                if ( $.inArray( name, names ) !== -1 && typeof oCondition.onReset === 'function' && oCondition.isset( ) )
+                    oCondition.onReset( );
+            });
+
+            drawn = this._shouldDraw;
+            this._drawTable( );
+        }
+        finally {
+            this._processing = false;
+        }
+
+        // Update the URL (and take a snapshot) once everything is reset (EG: The scroll position,
+        // once drawn)
+        this._loadCallbacks.push( ( ) => {
+            KeepConditions.structureHash( this._dtSettings );
+            this._snapshot( );
+        });
+
+        this._loaded( drawn );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * List Views
+     *
+     * Retrieve the names of the views of the table, the predefined views (See the 'views' setting)
+     * followed by the views saved via saveView(), in the order they were saved in
+     *
+     * @access  public
+     * @return  {array}
+     */
+    listViews( ){
+        return $.map( this._views( ), view => view.name );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Active View
+     *
+     * @access  public
+     * @return  {string|null}   Name of the view last loaded or saved, if any
+     */
+    activeView( ){
+        return this._activeView;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Save View
+     *
+     * Save the current conditions of the table as a view (Overwriting any saved view by that name),
+     * within the view storage (See the 'viewStorage' setting). Predefined views can't be overwritten
+     *
+     * @param   {string}    name    Name of the view
+     * @access  public
+     * @return  {boolean}   True if the view was saved
+     */
+    saveView( name ){
+        var components,
+            views,
+            idx;
+
+        if ( typeof name !== 'string' || name.length === 0 ) {
+            console.warn(`[keepConditions:${this._tableId}] Views need to be saved with a name`);
+            return false;
+        }
+
+        if ( this.isPredefinedView( name ) ) {
+            console.warn(`[keepConditions:${this._tableId}] The view '${name}' is predefined, it can't be overwritten`);
+            return false;
+        }
+
+        components = this._keptConditions( );
+
+        // Saving the view was cancelled by a kc-preSave handler
+        if ( components === false )
+            return false;
+
+        views   = this._storedViews( );
+        idx     = this._viewIndex( views, name );
+
+        // Overwritten views keep their place
+        if ( idx === -1 )
+            views.push( { name: name, hash: this.conditionsHash( components ) } );
+        else
+            views[ idx ].hash = this.conditionsHash( components );
+
+        this._activeView = name;
+
+        this._writeViews( views, [ 'save', name ] );
+
+        return true;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Load View
+     *
+     * Load the conditions of a view into the table, just as if they were loaded from the URL, with
+     * any conditions not kept by the view being reset (See reset()), and then update the URL hash
+     *
+     * @param   {string}    name        Name of the view
+     * @param   {object}    options     (Optional) redraw: Redraw the table (default true), save:
+     *                                  Update the URL hash afterwards (default true)
+     * @access  public
+     * @return  {boolean}   True if the view was loaded
+     */
+    loadView( name, options ){
+        var views   = this._views( ),
+            idx     = this._viewIndex( views, name );
+
+        if ( this._initPending ) {
+            console.warn(`[keepConditions:${this._tableId}] Views can't be loaded prior to the table being initialized`);
+            return false;
+        }
+
+        if ( idx === -1 ) {
+            console.warn(`[keepConditions:${this._tableId}] No view found named '${name}'`);
+            return false;
+        }
+
+        if ( ! this._apply( this._parseConditions( views[ idx ].hash ), true, options ) )
+            return false;
+
+        this._activeView = name;
+
+        this._trigger( 'kc-views', [ 'load', name ] );
+
+        return true;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Rename View
+     *
+     * Rename a saved view (Predefined views can't be renamed), without overwriting another view
+     *
+     * @param   {string}    name        Name of the view
+     * @param   {string}    newName     New name of the view
+     * @access  public
+     * @return  {boolean}   True if the view was renamed
+     */
+    renameView( name, newName ){
+        var views   = this._storedViews( ),
+            idx     = this._viewIndex( views, name );
+
+        if ( typeof newName !== 'string' || newName.length === 0 ) {
+            console.warn(`[keepConditions:${this._tableId}] Views need to be renamed to a name`);
+            return false;
+        }
+
+        if ( this.isPredefinedView( name ) ) {
+            console.warn(`[keepConditions:${this._tableId}] The view '${name}' is predefined, it can't be renamed`);
+            return false;
+        }
+
+        if ( idx === -1 ) {
+            console.warn(`[keepConditions:${this._tableId}] No saved view found named '${name}'`);
+            return false;
+        }
+
+        if ( newName !== name && $.inArray( newName, this.listViews( ) ) !== -1 ) {
+            console.warn(`[keepConditions:${this._tableId}] A view named '${newName}' already exists`);
+            return false;
+        }
+
+        // The view keeps its place
+        views[ idx ].name = newName;
+
+        if ( this._activeView === name )
+            this._activeView = newName;
+
+        this._writeViews( views, [ 'rename', name, newName ] );
+
+        return true;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Delete View
+     *
+     * Remove a saved view from the view storage (Predefined views can't be deleted)
+     *
+     * @param   {string}    name    Name of the view
+     * @access  public
+     * @return  {boolean}   True if the view was deleted
+     */
+    deleteView( name ){
+        var views   = this._storedViews( ),
+            idx     = this._viewIndex( views, name );
+
+        if ( this.isPredefinedView( name ) ) {
+            console.warn(`[keepConditions:${this._tableId}] The view '${name}' is predefined, it can't be deleted`);
+            return false;
+        }
+
+        if ( idx === -1 ) {
+            console.warn(`[keepConditions:${this._tableId}] No saved view found named '${name}'`);
+            return false;
+        }
+
+        views.splice( idx, 1 );
+
+        if ( this._activeView === name )
+            this._activeView = null;
+
+        this._writeViews( views, [ 'delete', name ] );
+
+        return true;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Is Predefined View
+     *
+     * @param   {string}    name    Name of the view
+     * @access  public
+     * @return  {boolean}   True if the view is predefined via the 'views' setting (and read-only)
+     */
+    isPredefinedView( name ){
+        return this._viewIndex( this._predefinedViews( ), name ) !== -1;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Views
+     *
+     * Retrieve all the views of the table, the predefined views first, followed by the saved ones
+     * (Predefined views take precedence over saved views of the same name)
+     *
+     * @access  private
+     * @return  {array}     Views, as objects with the name and conditions hash value of each view
+     *                      (EG: [ { name: 'London', hash: 'fLondon:oa2' } ])
+     */
+    _views( ){
+        var predefined = this._predefinedViews( );
+
+        return predefined.concat( $.grep( this._storedViews( ),
+            view => this._viewIndex( predefined, view.name ) === -1 ) );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * View Index
+     *
+     * @param   {array}     views   Views, as objects with the name and conditions hash value of each
+     * @param   {string}    name    Name of the view
+     * @access  private
+     * @return  {number}    Index of the view by that name, or -1 if there isn't one
+     */
+    _viewIndex( views, name ){
+        return $.inArray( name, $.map( views, view => view.name ) );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Stored Views
+     *
+     * Retrieve the saved views via the view storage adapter (Copies of them, so they can be changed)
+     *
+     * @access  private
+     * @return  {array}     Views, as objects with the name and conditions hash value of each view
+     */
+    _storedViews( ){
+        var views = KeepConditions.viewStorage( this._viewStorage ).read( this._tableId, this );
+
+        return $.map( $.isArray( views ) ? views : [], view =>
+            $.isPlainObject( view ) && typeof view.name === 'string' && typeof view.hash === 'string'
+                ? { name: view.name, hash: view.hash }
+                : null );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Write Views
+     *
+     * Store the saved views via the view storage adapter, and trigger the kc-views event
+     *
+     * @param   {array}     views   Views, as objects with the name and conditions hash value of each view
+     * @param   {array}     args    Arguments handed to the kc-views handlers (EG: [ 'save', name ])
+     * @access  private
+     * @return  {void}
+     */
+    _writeViews( views, args ){
+        KeepConditions.viewStorage( this._viewStorage ).write( this._tableId, views, this );
+
+        this._trigger( 'kc-views', args );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Predefined Views
+     *
+     * Retrieve the views predefined via the 'views' setting, which is an object of views by view
+     * name, each being either a conditions hash value (EG: 'fLondon:oa2'), or condition values by
+     * condition name, as returned by get() (EG: { search: 'London', order: [ [ 2, 'asc' ] ] })
+     *
+     * @access  private
+     * @return  {array}     Views, as objects with the name and conditions hash value of each view
+     */
+    _predefinedViews( ){
+        var views       = this._option( 'views' ),
+            predefined  = [];
+
+        if ( this._predefined !== null )
+            return this._predefined;
+
+        if ( typeof views !== 'undefined' && ! $.isPlainObject( views ) )
+            console.warn(`[keepConditions:${this._tableId}] The views setting needs to be an object of views by name`);
+
+        $.each( $.isPlainObject( views ) ? views : {}, ( name, view ) => {
+            if ( typeof view === 'string' )
+                predefined.push( { name: name, hash: view } );
+            else if ( $.isPlainObject( view ) )
+                predefined.push( { name: name, hash: this.conditionsHash( this._encodeValues( view ) ) } );
+            else
+                console.warn(`[keepConditions:${this._tableId}] The view '${name}' needs to be either a conditions hash or an object`);
+        });
+
+        // The conditions of extensions may not be enabled yet prior to the table being initialized
+        if ( ! this._initPending )
+            this._predefined = predefined;
+
+        return predefined;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Undo (Condition Change)
+     *
+     * Load the conditions the table had prior to the last change (Just as if they were loaded from
+     * the URL), and then update the URL hash. The undone conditions can be loaded again via redo()
+     *
+     * @access  public
+     * @return  {boolean}   True if there was a change to undo
+     */
+    undo( ){
+        return this._step( true );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Redo (Condition Change)
+     *
+     * Load the conditions last undone via undo(), and then update the URL hash
+     *
+     * @access  public
+     * @return  {boolean}   True if there was a change to redo
+     */
+    redo( ){
+        return this._step( false );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Step (Through the Snapshots)
+     *
+     * Load the most recent snapshot of the undo (or redo) stack, adding the current snapshot to the
+     * redo (or undo) stack
+     *
+     * @param   {boolean}   undo    Undo (true) or redo (false)
+     * @access  private
+     * @return  {boolean}   True if a snapshot was loaded
+     */
+    _step( undo ){
+        var current,
+            from,
+            to,
+            hash;
+
+        if ( this._initPending ) {
+            console.warn(`[keepConditions:${this._tableId}] Conditions can't be undone prior to the table being initialized`);
+            return false;
+        }
+
+        this._flushSnapshot( );
+
+        current = this._snapshotHash;
+        from    = undo ? this._undoStack : this._redoStack;
+        to      = undo ? this._redoStack : this._undoStack;
+
+        if ( from.length === 0 )
+            return false;
+
+        hash = from.pop( );
+        to.push( current );
+
+        this._snapshotHash = hash;
+
+        if ( ! this._apply( this._parseConditions( hash ), true, { record: false } ) ) {
+            from.push( hash );
+            to.pop( );
+
+            this._snapshotHash = current;
+
+            return false;
+        }
+
+        this._trigger( 'kc-undo', [ this._undoStack.length, this._redoStack.length ] );
+
+        return true;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * (Take) Snapshot
+     *
+     * Take a snapshot of the current conditions, adding the previous snapshot to the undo stack (and
+     * emptying the redo stack) if the conditions have changed since. The undo stack is limited to
+     * the number of snapshots set via the 'undo' setting, dropping the oldest ones
+     *
+     * @param   {boolean}   replace     Just replace the current snapshot, without adding the previous
+     *                                  one to the undo stack (EG: Conditions loaded from the URL)
+     * @access  private
+     * @return  {void}
+     */
+    _snapshot( replace ){
+        var hash;
+
+        if ( this._undoLimit <= 0 )
+            return;
+
+        hash = this.conditionsHash( this._currentConditions( ) );
+
+        if ( replace === true || this._snapshotHash === null ) {
+            this._snapshotHash = hash;
+            return;
+        }
+
+        if ( hash === this._snapshotHash )
+            return;
+
+        this._undoStack.push( this._snapshotHash );
+
+        if ( this._undoStack.length > this._undoLimit )
+            this._undoStack.splice( 0, this._undoStack.length - this._undoLimit );
+
+        this._redoStack     = [];
+        this._snapshotHash  = hash;
+
+        this._trigger( 'kc-undo', [ this._undoStack.length, this._redoStack.length ] );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Queue Snapshot
+     *
+     * This is attached to the events of each condition (See _attachUndo()). Just like the URL update
+     * (See _queueHash()), the snapshot is debounced, so a burst of events (EG: Typing in the search
+     * input) only results in a single snapshot, and a single step to undo
+     *
+     * @param   {object}    e   jQuery event (containing data for the condition)
+     * @access  private
+     * @return  {void}
+     */
+    _queueSnapshot ( e ){
+        // Ignore events caused by the conditions being loaded into the table
+        if ( this._processing === true )
+            return;
+
+        // Only debounce the event if the value of its condition was actually changed (See _queueHash())
+        var wait = Math.max(
+            this._isChanged( e.data.condition, this._snapshotHash || '' ) ? this._debounce( e.data.condition ) : 0,
+            this._snapshotTimer !== null ? this._snapshotWait : 0 );
+
+        this._cancelSnapshot( );
+
+        this._snapshotWait  = wait;
+        this._snapshotTimer = setTimeout( ( ) => {
+            this._snapshotTimer = null;
+            this._snapshotWait  = 0;
+
+            this._snapshot( );
+        }, wait );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Cancel (Pending) Snapshot
+     *
+     * @access  private
+     * @return  {void}
+     */
+    _cancelSnapshot ( ){
+        if ( this._snapshotTimer === null )
+            return;
+
+        clearTimeout( this._snapshotTimer );
+
+        this._snapshotTimer = null;
+        this._snapshotWait  = 0;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Flush (Pending) Snapshot
+     *
+     * Take the snapshot of any change still waiting on its debounce (EG: Typing in the search input)
+     * right away, so it isn't lumped in with the conditions about to be loaded or reset
+     *
+     * @access  private
+     * @return  {void}
+     */
+    _flushSnapshot ( ){
+        if ( this._snapshotTimer === null )
+            return;
+
+        this._cancelSnapshot( );
+        this._snapshot( );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Attach Undo (Events)
+     *
+     * Attach the snapshot handler to the events of the enabled conditions, within its own namespace
+     * (So detachEvents() leaves it alone), and the Ctrl+Z/Ctrl+Y (Or Cmd+Z/Cmd+Shift+Z) keyboard
+     * shortcuts to the table container, if enabled via the 'undoKeys' setting
+     *
+     * @access  private
+     * @return  {void}
+     */
+    _attachUndo ( ){
+        $.each( this.conditions( this.getEnabledConditions( ) || [] ), ( sCondition, oCondition ) => {
+            this._onCondition( oCondition, this._namespaced( oCondition.event, `${this._eventNamespace}Undo` ),
+                { condition: sCondition }, this._snapshotHandler );
+        });
+
+        if ( this._option( 'undoKeys' ) !== true )
+            return;
+
+        // Only while the focus is within the table container, and not within a text input (Which
+        // has its own undo)
+        $( this._dtSettings.nTableWrapper ).on( `keydown.${this._eventNamespace}Undo`, e => {
+            var key = String( e.key ).toLowerCase( );
+
+            if ( ! ( e.ctrlKey || e.metaKey ) || e.altKey || $( e.target ).is( 'input, textarea, [contenteditable]' ) )
+                return;
+
+            if ( key === 'z' && ! e.shiftKey )
+                this.undo( );
+            else if ( key === 'y' || ( key === 'z' && e.shiftKey ) )
+                this.redo( );
+            else
+                return;
+
+            e.preventDefault( );
+        });
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Row Hash
+     *
+     * Structure the URL hash (or query string) linking to a specific row of the table, which is the
+     * conditions of the table (without the page/scroll position), along with the row condition
+     * (EG: example=fLondon:oa2:r12345). Once loaded, the page containing the row is shown
+     *
+     * @param   {string}    rowId   ID of the row to link to
+     * @access  public
+     * @return  {string}
+     */
+    rowHash( rowId ){
+        var positional  = $.map( [ 'page', 'scroller', 'scroll', 'row' ], name => this.conditions( name ).key ),
+            conditions  = $.grep( this.conditionsHash( ).split( ':' ),
+                c => c.length !== 0 && $.inArray( c.charAt( 0 ), positional ) === -1 );
+
+        conditions.push( `${this.conditions( 'row' ).key}${KeepConditions.encode( rowId )}` );
+
+        return KeepConditions.locationHash( this._storage === 'query' ? 'query' : 'hash', this._tableId, conditions.join( ':' ) );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Conditions Hash
+     *
+     * Structure the hash value of the enabled conditions for this table only, which
+     * is the value of this tables element within the URL hash (EG: fLondon:oa2:p3)
+     *
+     * @param   {object}    components  (Optional) Hash values by condition name to structure the
+     *                                  hash from, instead of the current conditions of the table as
+     *                                  they're kept (See _keptConditions())
+     * @access  public
+     * @return  {string}    Empty if keeping the conditions was cancelled by a kc-preSave handler
+     */
+    conditionsHash( components ){
+        var tableHash   = [], // Gets joined by :
+            names       = ( this.getEnabledConditions( ) || [] ).slice( );
+
+        if ( typeof components === 'undefined' )
+            components = this._keptConditions( ) || {};
+
+        // The enabled conditions are kept in order, followed by any others found in the components
+        $.each( components, name => {
+            if ( $.inArray( name, names ) === -1 )
+                names.push( name );
+        });
+
+        $.each( names, ( i, name ) => {
+            let oCondition  = this.conditions( name ),
+                conHashVal  = components[ name ];
+
+            // Prevent any elements from being added as - vfundefined:sundefined:oundefined, etc
+            if ( typeof conHashVal === 'undefined' || conHashVal === null || conHashVal === false )
+                return;
+
+            if ( oCondition === false ) {
+                console.warn(`[keepConditions:${this._tableId}] No condition object found for condition:`, name);
+                return;
+            }
+
+            tableHash.push( oCondition.key + conHashVal );
+        });
+
+        return tableHash.join( ':' );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Kept Conditions
+     *
+     * Retrieve the current conditions of the table as they're kept (In the URL, the storage, a copied
+     * link or a saved view), once the kc-preSave handlers have changed them (EG: To leave out values
+     * that shouldn't be shared)
+     *
+     * @access  private
+     * @return  {object|boolean}    Hash values by condition name, or false if keeping them was
+     *                              cancelled by a kc-preSave handler
+     */
+    _keptConditions( ){
+        var components = this._currentConditions( );
+
+        // Let the kc-preSave handlers change the conditions being kept, or cancel keeping them
+        if ( ! this._trigger( 'kc-preSave', [ components ] ) )
+            return false;
+
+        return components;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Current Conditions
+     *
+     * Retrieve the hash value of each enabled condition that's currently set for the table (and
+     * not at its initial state), which is what conditionsHash() structures the hash from
+     *
+     * @access  private
+     * @return  {object}    Hash values by condition name, EG: { search: 'London', order: 'a2' }
+     */
+    _currentConditions( ){
+        var conditions  = this.getEnabledConditions( ),
+            components  = {};
+
+        if ( conditions === false )
+            throw new Error('Couldn\'t get conditions from table settings');
+
+        // Loop through each enabled condition, setting the new hash value, if needed
+        $.each( conditions, ( i, c ) => {
+            if ( this.conditions( )[ c ].isset( ) ) {
+                let conHashVal = this.conditions( )[ c ].newHashVal( );
+
+                if ( typeof conHashVal !== 'undefined' && conHashVal !== false )
+                    components[ c ] = String( conHashVal );
+            }
+        });
+
+        return components;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Trigger (Event)
+     *
+     * Trigger a KeepConditions event on the table, within the dt namespace just like the DataTables
+     * events (EG: kc-preLoad.dt), with the handlers given the DT settings and the arguments
+     *
+     * @param   {string}    name    Event name (EG: kc-preLoad)
+     * @param   {array}     args    Arguments handed to the event handlers
+     * @access  private
+     * @return  {boolean}   False if any of the handlers returned false (to cancel the operation)
+     */
+    _trigger( name, args ){
+        var e = $.Event( `${name}.dt` );
+
+        $( this._dtApi.table( ).node( ) ).trigger( e, [ this._dtSettings ].concat( args || [] ) );
+
+        return ! e.isDefaultPrevented( );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Just return DT Settings
+     */
+    dtSettings(){
+        return this._dtSettings;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Just return DT API Instance
+     */
+    dtApi(){
+        return this._dtApi;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Attach (Condition Update) Events
+     *
+     * Attach the KeepConditions.structureHash() method to any DT events that may require the hash to
+     * be updated (such as Col Reordering, Col Sort Order, Draw, etc)
+     *
+     * @access  public
+     * @return  {void}
+     */
+    attachEvents () {
+        var eventParams = {
+                dtSettings: this._dtSettings
+            },
+            enabledConditions = this.getEnabledConditions( );
+
+        if ( enabledConditions === false )
+            throw new Error('No enabled conditions to attach to events');
+
+        var conditions = this.conditions( enabledConditions );
+
+        // Loop through all available conditions
+        $.each( conditions, ( sCondition, oCondition ) =>  {
+            // Attach the method that updates the hash, to the event associated with this condition
+            this._onCondition( oCondition, this._namespaced( oCondition.event ),
+                $.extend( { condition: sCondition }, eventParams ), this._queueHandler );
+        });
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Namespaced (Events)
+     *
+     * Add the KeepConditions namespace to each of the (space delimited) events of a condition
+     *
+     * @param   {string}    events      DataTables event(s), EG: 'select.dt deselect.dt'
+     * @param   {string}    namespace   (Optional) Namespace to add instead of the KeepConditions one
+     * @access  private
+     * @return  {string}    EG: 'select.dt.keepConditions deselect.dt.keepConditions'
+     */
+    _namespaced ( events, namespace ){
+        return $.map( events.split( ' ' ),
+            event => event.length !== 0 ? `${event}.${namespace || this._eventNamespace}` : null ).join( ' ' );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Event Target (Of Condition)
+     *
+     * Retrieve what the events of a condition are attached to, which is the DT instance, unless the
+     * condition has a 'node' method returning the element to listen on instead (EG: The scrolling
+     * body of the table, since scrolling it doesn't trigger any DT events)
+     *
+     * @param   {object}    oCondition  Condition object
+     * @access  private
+     * @return  {object}    DataTables API instance, or jQuery object of the condition node
+     */
+    _eventTarget ( oCondition ){
+        return typeof oCondition.node === 'function'
+            ? $( oCondition.node( ) )
+            : this._dtApi;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * On (Condition Events)
+     *
+     * Attach a handler to the events of a condition, on its event target (See _eventTarget()). If
+     * the condition has a 'selector' method, its DOM events (Those outside of the dt namespace, EG:
+     * click) are delegated to the elements matching the selector within the target, so they're
+     * only handled for said elements (EG: The child row toggle, instead of any click in the table)
+     *
+     * @param   {object}    oCondition  Condition object
+     * @param   {string}    events      Namespaced event(s) of the condition
+     * @param   {object}    data        Data handed to the jQuery event
+     * @param   {function}  handler     Event handler
+     * @access  private
+     * @return  {void}
+     */
+    _onCondition ( oCondition, events, data, handler ){
+        var target      = this._eventTarget( oCondition ),
+            selector    = typeof oCondition.selector === 'function' ? oCondition.selector( ) : null,
+            dtEvents    = [],
+            domEvents   = [];
+
+        if ( typeof selector !== 'string' || selector.length === 0 ) {
+            target.on( events, data, handler );
+            return;
+        }
+
+        $.each( events.split( ' ' ), ( i, event ) => {
+            if ( event.length !== 0 )
+                ( /\.dt\b/.test( event ) ? dtEvents : domEvents ).push( event );
+        });
+
+        if ( dtEvents.length !== 0 )
+            target.on( dtEvents.join( ' ' ), data, handler );
+
+        if ( domEvents.length !== 0 )
+            target.on( domEvents.join( ' ' ), selector, data, handler );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Detach (Condition Update) Events
+     *
+     * Detach the KeepConditions.structureHash() method to any DT events that may require the hash to
+     * be updated (such as Col Reordering, Col Sort Order, Draw, etc)
+     *
+     * @access  public
+     * @return  {void}
+     */
+    detachEvents () {
+        var eventParams = {
+                dtSettings: this._dtSettings
+            },
+            enabledConditions = this.getEnabledConditions( );
+
+        if ( enabledConditions === false )
+            throw new Error('No enabled conditions to attach to events');
+
+        var conditions = this.conditions( enabledConditions );
+
+        // Loop through all available conditions
+        $.each( conditions, ( sCondition, oCondition ) =>  {
+            // Check if condition is enabled in plugin settings, and if the table was initialized
+            // with said setting/extension/plugin (The latter is unique per condition, so each
+            // condition object has it's own method to check if table was init with condition)
+            if ( ! this._isEnabled( sCondition ) || ! oCondition.isInit( ) )
+                return;
+
+            // Attach the method that updates the hash, to the event associated with this condition
+            this._eventTarget( oCondition ).off( this._namespaced( oCondition.event ) );
+        });
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Detach (Hash Update from conditions) Event
+     *
+     * The KeepConditions.structureHash() method is attached to the events specified by the 'event' property
+     * for each condition. This method can be used to detach that method from a specific DataTables event,
+     * which can be specified by giving the condition (which then the event is retrieved), or the exact
+     * DataTables event (ending in .dt, eg: draw.dt)
+     *
+     * @param   {string|array}     condition    Either an array if multiple, or string of single condition(s)
+     *                                          or DT event(s)
+     * @access  public
+     * @return  {void}
+     */
+    detachEvent ( condition ) {
+        if ( typeof condition === 'undefined' ){
+            console.warn('No condition or event specified for KeepConditions.detachEvent(), nothing is getting detached');
+
+            return;
+        }
+
+        // Retrieve the condition, also to make sure it exists
+        var oCondition = this.conditions( condition );
+
+        if( ! oCondition )
+            return false;
+
+        var event;
+
+        // Single condition or event
+        if ( typeof condition === 'string' ) {
+            // If were given the exact event
+            if ( condition.endsWith('.dt') )
+                event = condition;
+
+            // If were given the condition to retrieve the event name from
+            else
+                event = oCondition.event;
+
+            // Detach event callback
+            this._eventTarget( condition.endsWith('.dt') ? {} : oCondition ).off( event, this._queueHandler );
+        }
+
+        // Multiple events or conditions
+        else if ( $.isArray( condition ) && condition.length > 0 ){
+            $.each( condition, ( i, c ) => {
+                // If were given the exact event
+                if ( c.endsWith('.dt') )
+                    event = c;
+
+                // If were given the condition to retrieve the event name from, make sure it exists
+                else if (typeof oCondition[ c ] !== 'undefined' )
+                    event = oCondition[ c ].event;
+
+                // Abort if we were given an incorrect condition
+                else
+                    throw new Error(`Unknown condition specified: ${c}`);
+
+                // Detach event callback
+                this._eventTarget( c.endsWith('.dt') ? {} : oCondition[ c ] ).off( this._namespaced( event ) );
+            });
+        }
+
+        // Whatever else
+        else {
+            // If we were given something that wasnt caught
+            console.warn( 'Illegal parameter type for KeepConditions.detachEvent(), should be array or string, was: ', typeof condition );
+        }
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Attach (Hash Update to conditions) Event
+     *
+     * Attach the KeepConditions.structureHash() method to one or more specific event(s), specified either
+     * by the condition name (search, paging, etc) or the specific event itself (which should end with
+     * '.dt', EG: draw.dt)
+     *
+     * @param   {string|array}     condition    Either an array if multiple, or string of single condition(s)
+     *                                          or DT event(s)
+     * @access  public
+     * @return  {void}
+     * @todo    Should 'this.enableCondition( sCondition );' be added? Dont think so
+     */
+    attachEvent ( condition ) {
+        if ( typeof condition === 'undefined' ){
+            console.warn('No condition or event specified for KeepConditions.attachEvent(), nothing is getting attached');
+
+            return;
+        }
+
+        // Data handed to the jQuery event
+        var eventParams = {
+            dtSettings: this._dtSettings
+        };
+
+        // Retrieve the condition, also to make sure it exists
+        var oCondition = this.conditions( condition );
+
+        if( ! oCondition )
+            return false;
+
+        var event;
+
+        //this._dtApi.on( oCondition.event, eventParams, KeepConditions.structureHash.bind( KeepConditions ) );
+
+        // Single condition or event
+        if ( typeof condition === 'string' ) {
+            // If were given the exact event
+            if ( condition.endsWith('.dt') )
+                event = condition;
+
+            // If were given the condition to retrieve the event name from
+            else
+                event = oCondition.event;
+
+            // Detach event callback
+            this._onCondition( condition.endsWith('.dt') ? {} : oCondition, event,
+                $.extend( { condition: condition }, eventParams ), this._queueHandler );
+        }
+
+        // Multiple events or conditions
+        else if ( $.isArray( condition ) && condition.length > 0 ){
+            $.each( condition, ( i, c ) => {
+                // If were given the exact event
+                if ( c.endsWith('.dt') )
+                    event = c;
+
+                // If were given the condition to retrieve the event name from, make sure it exists
+                else if (typeof oCondition[ c ] !== 'undefined' )
+                    event = oCondition[ c ].event;
+
+                // Abort if we were given an incorrect condition
+                else
+                    throw new Error(`Unknown condition specified: ${c}`);
+
+                // Detach event callback
+                this._onCondition( c.endsWith('.dt') ? {} : oCondition[ c ], this._namespaced( event ),
+                    $.extend( { condition: c }, eventParams ), this._queueHandler );
+            });
+        }
+
+        // Whatever else
+        else {
+            // If we were given something that wasn't caught
+            console.warn( `Illegal parameter type for KeepConditions.attachEvent(), should be array or string, was: ${typeof condition}` );
+        }
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Process (Initial) URL Hash
+     *
+     * This is executed after KeepConditions has been initiated by DataTables, any conditions
+     * found in the URL hash will be parsed by the conditions onLoad( ) method (If the condition
+     * is enabled/initiated), then the table will be redrawn (if needed). This is also executed
+     * whenever the URL is changed by the browsers back/forward buttons, in which case any enabled
+     * conditions that are missing from the hash are reset, and the table is left alone if its
+     * conditions are unchanged
+     *
+     * @param   {boolean}   resetMissing    Reset the conditions not found in the hash to their
+     *                                      defaults (and skip the table if nothing changed)
+     * @access  public
+     * @return  {void}
+     */
+    processHash ( resetMissing ) {
+        // Conditions not kept in the URL aren't part of the browser history, and tables that
+        // aren't initialized yet have nothing to reset
+        if ( resetMissing === true && ( this._isStored( ) || this._initPending ) )
+            return;
+
+        var cons    = this._urlConditions( ),
+            fromUrl = typeof cons !== 'undefined';
+
+        // The conditions in the URL take precedence over any stored conditions
+        if ( ! fromUrl && this._isStored( ) )
+            cons = KeepConditions.storage( this._storage ).read( this._tableId, this );
+
+        if ( resetMissing === true ) {
+            // Nothing to do if the conditions in the URL are already the current conditions, or
+            // the ones last written to it (Which may differ, if changed by a kc-preSave handler)
+            if ( ( cons || '' ) === this.conditionsHash( this._currentConditions( ) ) || ( cons || '' ) === this._lastHash ) {
+                this._lastHash = cons || '';
+                return;
+            }
+        }
+        // Nothing to do if there isn't a hash element for this table
+        else if ( typeof cons === 'undefined' ) {
+            return;
+        }
+
+        var components,
+            drawn = false;
+
+        // Conditions loaded prior to the first draw are loaded in two passes, the second of which
+        // (once DataTables is initialized) loads the rest of the conditions handed to the first
+        if ( this._pendingLoad !== null ) {
+            components          = this._pendingLoad;
+            this._pendingLoad   = null;
+        }
+        else {
+            components = this._parseConditions( cons || '' );
+
+            // Let the kc-preLoad handlers change the conditions being loaded, or cancel loading them
+            if ( ! this._trigger( 'kc-preLoad', [ components ] ) )
+                components = false;
+        }
+
+        if ( this._initPending )
+            this._pendingLoad = components;
+
+        if ( components === false )
+            return;
+
+        // Drop any pending URL update, the conditions in the URL take precedence
+        this._cancelHash( );
+
+        this._processing = true;
+
+        try {
+            this._loadConditions( components, resetMissing === true );
+
+            // Draw the table if needed (Prior to the first draw, DataTables draws it anyways)
+            if ( this._initPending ) {
+                this._shouldDraw = false;
+            }
+            else {
+                drawn = this._shouldDraw;
+                this._drawTable( );
+            }
+        }
+        finally {
+            this._processing = false;
+        }
+
+        // The rest is done once the remaining conditions are loaded
+        if ( this._initPending )
+            return;
+
+        this._lastHash = this.conditionsHash( this._currentConditions( ) );
+
+        // Store the conditions that were loaded from the URL, and then remove them from the URL, so
+        // they don't take precedence over any later changes when the page is reloaded
+        if ( fromUrl && this._isStored( ) ) {
+            KeepConditions.structureHash( this._dtSettings );
+            this._clearUrlConditions( );
+        }
+
+        // Conditions loaded from the URL (EG: Via the back/forward buttons) aren't undone, they're
+        // just what the next change is undone to
+        if ( this._loadCallbacks.length !== 0 )
+            this._loadCallbacks.push( ( ) => this._snapshot( true ) );
+        else
+            this._snapshot( true );
+
+        this._loaded( drawn, components );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * URL Conditions
+     *
+     * Retrieve the conditions hash value for this table from the URL (EG: fLondon:oa2:p3). When the
+     * conditions aren't kept in the URL, both the URL hash and query string are checked
+     *
+     * @access  private
+     * @return  {string|undefined}
+     */
+    _urlConditions ( ) {
+        var adapters = this._isStored( ) ? [ 'hash', 'query' ] : [ this._storage ],
+            cons;
+
+        $.each( adapters, ( i, adapter ) => {
+            cons = KeepConditions.storage( adapter ).read( this._tableId, this );
+
+            if ( typeof cons !== 'undefined' )
+                return false;
+        });
+
+        return cons;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Clear URL Conditions
+     *
+     * Remove the conditions of this table from the URL hash and query string (Replacing the current
+     * browser history entry), leaving the conditions of any other tables alone
+     *
+     * @access  private
+     * @return  {void}
+     */
+    _clearUrlConditions ( ) {
+        $.each( [ 'hash', 'query' ], ( i, adapter ) => {
+            if ( typeof KeepConditions.storage( adapter ).read( this._tableId, this ) !== 'undefined' )
+                KeepConditions.updateLocation( adapter, KeepConditions.locationHash( adapter, this._tableId, '' ), 'replace' );
+        });
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Is (Kept outside of the URL) Stored
+     *
+     * @access  private
+     * @return  {boolean}   True if the conditions aren't kept in the URL (EG: The browser storage)
+     */
+    _isStored ( ) {
+        return KeepConditions.storage( this._storage ).url !== true;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Load Conditions
+     *
+     * Have each enabled condition parse its component of the conditions hash value of this table,
+     * (EG: fLondon:oa2:p3), and optionally reset the conditions without a component
+     *
+     * @param   {object}    components      Hash values by condition name (See _parseConditions())
+     * @param   {boolean}   resetMissing    Reset the enabled conditions without a component
+     * @access  private
+     * @return  {void}
+     */
+    _loadConditions ( components, resetMissing ) {
+        // Column indexes are mapped through the column order the conditions were kept with
+        this._hashLayout = this._columnLayout( components, resetMissing === true );
+
+        try {
+            // Loop through the enabled conditions (in order, not the order found in the hash, since
+            // some depend on others, EG: The page depends on the length)
+            $.each( this.getEnabledConditions( ) || [], ( i, conName ) => {
+                let oCondition = this.conditions( conName );
+
+                // Prior to the first draw, only load the conditions able to be loaded then, after
+                // which, skip the conditions that were already loaded
+                if ( this._initPending ) {
+                    if ( oCondition.preInit !== true )
+                        return;
+
+                    this._preLoaded.push( conName );
+                }
+                else if ( $.inArray( conName, this._preLoaded ) !== -1 ) {
+                    return;
+                }
+
+                // Reset any (enabled) conditions that aren't in the hash, but aren't at their defaults
+                if ( typeof components[ conName ] === 'undefined' || components[ conName ] === null ) {
+                    if ( resetMissing === true && oCondition.isset( ) )
+                        oCondition.onReset( );
+
+                    return;
+                }
+
+                // Have the condition object parse the hash
+                oCondition.onLoad( String( components[ conName ] ) );
+            });
+        }
+        finally {
+            this._hashLayout = null;
+        }
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * (Hash) Column Layout
+     *
+     * Columns identified by index (See the 'columnIds' setting) are kept by their index at the time,
+     * as in with the columns in the order kept by the colorder condition (or their initial order,
+     * if it wasn't kept). Since the columns may be ordered differently while the conditions are
+     * loaded (EG: Prior to the first draw, ColReorder hasn't reordered them yet, and the colorder
+     * condition is only loaded once initialized), the indexes are mapped through said order
+     *
+     * @param   {object}    components      Hash values by condition name (See _parseConditions())
+     * @param   {boolean}   resetMissing    The enabled conditions without a component are reset
+     * @access  private
+     * @return  {array|null}    Original indexes of the columns in the order the conditions were kept
+     *                          with, or null if it's the current order
+     */
+    _columnLayout ( components, resetMissing ) {
+        var columns = $.map( this._dtSettings.aoColumns, ( col, i ) => i ),
+            layout  = null;
+
+        // Only ColReorder reorders the columns
+        if ( this._columnIds !== 'index' || typeof $.fn.dataTable.ColReorder === 'undefined' )
+            return null;
+
+        if ( typeof components.colorder === 'string' && components.colorder.length !== 0 )
+            layout = KeepConditions.expandSequence( components.colorder );
+        else if ( this._initPending || resetMissing )
+            layout = this._initial.colorder;
+
+        // Ignore any order that isn't of the columns of the table
+        if ( layout === null
+                || JSON.stringify( layout.slice( ).sort( ( a, b ) => a - b ) ) !== JSON.stringify( columns ) )
+            return null;
+
+        return layout;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Parse Conditions
+     *
+     * Split the conditions hash value of this table (EG: fLondon:oa2:p3) into the hash values of
+     * each condition
+     *
+     * @param   {string}    cons    Conditions hash value for this table
+     * @access  private
+     * @return  {object}    Hash values by condition name, EG: { search: 'London', order: 'a2', page: '3' }
+     */
+    _parseConditions ( cons ) {
+        var components = {};
+
+        // Loop through each condition within the Hash, which is delimited by :
+        $.each( cons.split( ':' ), ( i, c ) => {
+            if ( c.length === 0 )
+                return;
+
+            let conKey      = c.charAt( 0 ),
+                conName     = this.nameByKey( conKey );
+
+            if ( conName === false ){
+                console.warn(`[keepConditions:${this._tableId}] No condition object found for condition key:`, conKey);
+                return;
+            }
+
+            components[ conName ] = c.substring( 1 );
+        });
+
+        return components;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * (Conditions) Loaded
+     *
+     * Execute the functions queued by the conditions (See _loadCallbacks) once the loaded conditions
+     * have been drawn, which for server-side tables is once the data has been returned. Otherwise
+     * they're executed right after, so any handlers attached once the table is initialized (EG: The
+     * click handlers opening the child rows) are attached by then
+     *
+     * @param   {boolean}   drawn       The table was redrawn after loading the conditions
+     * @param   {object}    components  (Optional) Hash values by condition name that were loaded,
+     *                                  handed to the kc-load handlers once everything is loaded
+     * @access  private
+     * @return  {void}
+     */
+    _loaded ( drawn, components ) {
+        var callbacks = this._loadCallbacks;
+
+        this._loadCallbacks = [];
+
+        if ( callbacks.length === 0 ) {
+            if ( components )
+                this._trigger( 'kc-load', [ components ] );
+
+            return;
+        }
+
+        let execute = ( ) => {
+            this._processing = true;
+
+            try {
+                $.each( callbacks, ( i, callback ) => callback( ) );
+            }
+            finally {
+                this._processing = false;
+            }
+
+            this._lastHash = this.conditionsHash( this._currentConditions( ) );
+
+            if ( components )
+                this._trigger( 'kc-load', [ components ] );
+        };
+
+        if ( drawn && this._dtSettings.oFeatures.bServerSide )
+            this._dtApi.one( 'draw.dt', execute );
+        else
+            setTimeout( execute, 0 );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Initial Display Start
+     *
+     * Set the record the first draw should start at (As the displayStart DT init setting would),
+     * used to load the page prior to the first draw. For Ajax sourced tables, DataTables resets
+     * this once the data is loaded, so it's set again right before the table is drawn with the data
+     *
+     * @param   {number}    start   Index of the record to start at
+     * @access  private
+     * @return  {void}
+     */
+    _initDisplayStart ( start ) {
+        var dtSettings = this._dtSettings;
+
+        dtSettings.iInitDisplayStart = start;
+
+        if ( dtSettings.oFeatures.bServerSide !== true && ( dtSettings.ajax || dtSettings.sAjaxSource ) ) {
+            this._dtApi.one( 'xhr.dt', ( ) => {
+                this._dtApi.one( 'preDraw.dt', ( ) => {
+                    dtSettings.iInitDisplayStart = start;
+                } );
+            } );
+        }
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Enable Condition(s)
+     *
+     * Enable condition(s) to be managed via KeepConditions plugin - Basically just adds the condition(s) to
+     * this._enabledConditions. Conditions can be specified by either the full name,
+     * or the single character condition key
+     *
+     * @param   {string|array}  condition       DataTables condition(s) to enable, condition(s) can be
+     *                                          specified either by the full name, or the condition key
+     * @param   {boolean}       structureHash   Restructure the hash after said condition has been enabled
+     * @access  public
+     * @return  {void}
+     */
+    enableCondition ( condition, structureHash ) {
+        var done = false;
+
+        // Process multiple conditions to enable
+        if ( $.isArray( condition ) ){
+            $.each( condition, ( i, c ) => {
+                // If its a key, then get the name from the key
+                if ( c.length === 1 )
+                    c = this.nameByKey( c );
+
+                if ( this.conditions( c ) !== false ) {
+                    if ( $.inArray( c, this._enabledConditions ) === -1 )
+                        this._enabledConditions.push( c );
+
+                    done = true;
+                }
+            });
+        }
+        else if ( typeof condition === 'string' ){
+            // If its a key, then get the name from the key
+            if ( condition.length === 1 )
+                condition = this.nameByKey( condition );
+
+            if ( this.conditions( condition ) !== false ) {
+                if ( $.inArray( condition, this._enabledConditions ) === -1 )
+                    this._enabledConditions.push( condition );
+
+                done = true;
+            }
+        }
+
+        // If a condition was successfully enabled, and were requested to update the hash, do eeet!
+        if ( structureHash === true && done === true )
+            KeepConditions.structureHash( this._dtSettings, false );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Disable Condition(s)
+     *
+     * Disable condition(s) from being managed via KeepConditions plugin - Basically just removes the
+     * condition(s) from this._enabledConditions. Conditions can be specified by either the full name,
+     * or the single character condition key
+     *
+     * @param   {string|array}  condition       DataTables condition(s) to disable, condition(s) can be
+     *                                          specified either by the full name, or the condition key
+     * @param   {boolean}       structureHash   Restructure the hash after said condition has been disabled
+     * @access  public
+     * @return  {void}
+     */
+    disableCondition ( condition, structureHash ) {
+        var done = false;
+
+        // Process multiple conditions to disable
+        if ( $.isArray( condition ) ){
+            $.each( condition, ( i, c ) => {
+                // If its a key, then get the name from the key
+                if ( c.length === 1 )
+                    c = this.nameByKey( c );
+
+                if ( this.conditions( c ) !== false ) {
+                    this._enabledConditions.splice( $.inArray( c, this._enabledConditions ), 1 );
+
+                    done = true;
+                }
+            });
+        }
+        else if ( typeof condition === 'string' ){
+            // If its a key, then get the name from the key
+            if ( condition.length === 1 )
+                condition = this.nameByKey( condition );
+
+            if ( this.conditions( condition ) !== false ) {
+                this._enabledConditions.splice( $.inArray( condition, this._enabledConditions ), 1 );
+
+                done = true;
+            }
+        }
+
+        // If a condition was successfully disabled, and were requested to update the hash, do eeet!
+        if ( structureHash === true && done === true )
+            KeepConditions.structureHash( this._dtSettings, false );
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Get Enabled Conditions
+     *
+     * Returns a list of conditions being managed via plugin
+     *
+     * @access  public
+     * @return  {array|boolean}     Array of conditions being kept, or false if none
+     */
+    getEnabledConditions ( ) {
+        return this._enabledConditions.length > 0
+            ? this._enabledConditions
+            : false;
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Condition Name by Key
+     *
+     * Return the name of a condition (search, length, colorder), given the key (f, l, c). Useful for
+     * when referencing conditions using the keys from the hash value
+     *
+     * @param   {string}    key     Key of condition (Single alpha value, usually first name of
+     *                              condition, but not always)
+     * @access  public
+     * @return  {string}    Full condition name (name of condition within this.conditions( ) obj)
+     */
+    nameByKey ( key ){
+        return this._keysToCons[ key ] || false
+    }
+
+    // -----------------------------------------------------------
+
+    /**
+     * Conditions Manager
      *
      * Manages the object that contains the primary functionality for managing conditions,
      * such as checkinf if the condition is enabled via DT, checking if the plugin/extension
@@ -925,440 +3989,1334 @@ class KeepConditions {
     conditions ( con ) {
         var _parent = this;
 
-        /**
-         * Main conditions object
-         *
-         * Each object within this object should be a unique condition that can be
-         * managed via KeepConditions. The keys need to be the name of the values
-         * stored within the DT initiation setting 'keepConditions', should conditions
-         * be specified, instead of just 'true'
-         */
-        var conditions = {
+        /**
+         * Main conditions object
+         *
+         * Each object within this object should be a unique condition that can be
+         * managed via KeepConditions. The keys need to be the name of the values
+         * stored within the DT initiation setting 'keepConditions', should conditions
+         * be specified, instead of just 'true'
+         */
+        var conditions = {
+            /**
+             * Table searching (aka Filtering) condition
+             */
+            search: {
+                // Hash Key
+                key: 'f',
+
+                // Event to trigger the hash update for
+                event: 'search.dt',
+
+                // Wait (ms) before updating the hash, so typing only results in a single update
+                debounce: 500,
+
+                // Can be loaded prior to the first draw
+                preInit: true,
+
+                // Check if condition is setup on table
+                isInit: ( ) => (
+                    typeof _parent._dtSettings.oInit.searching === 'undefined'
+                        || _parent._dtSettings.oInit.searching !== false
+                ),
+
+                // Function to check if a condition exists in the hash, and to process it
+                onLoad: ( hashComponent ) => {
+                    if ( typeof hashComponent === 'undefined' )
+                        return;
+
+                    // Nothing to do if its the current search (with the same flags)
+                    if ( hashComponent === KeepConditions.encodeSearch( _parent._dtSettings.oPreviousSearch ) )
+                        return;
+
+                    let search = KeepConditions.decodeSearch( hashComponent );
+
+                    _parent._dtApi.search( search.search, search.regex, search.smart, search.caseInsensitive );
+                    _parent._shouldDraw = true;
+                },
+
+                // Function to reset the condition back to its default (When missing from the hash)
+                onReset: ( ) => {
+                    let search = _parent._initial.search;
+
+                    _parent._dtApi.search( search.sSearch, search.bRegex, search.bSmart, search.bCaseInsensitive );
+                    _parent._shouldDraw = true;
+                },
+
+                // Check if the search (or its flags) differs from the initial search of the table
+                isset: ( ) => (
+                    KeepConditions.encodeSearch( _parent._dtSettings.oPreviousSearch )
+                        !== KeepConditions.encodeSearch( _parent._initial.search )
+                ),
+
+                // Return the new value to be stored in the hash for this conditions component
+                // (Including the regex/smart/caseInsensitive flags, if not the defaults)
+                newHashVal: ( ) => KeepConditions.encodeSearch( _parent._dtSettings.oPreviousSearch ),
+
+                // Return the current value of this condition (See get()), the search string, or an
+                // object of the search and its flags if they aren't the defaults
+                value: ( ) => _parent._searchValue( _parent._dtSettings.oPreviousSearch ),
+
+                // Encode a value of this condition (As returned by value()) into its hash value
+                encode: ( value ) => _parent._encodeSearchValue( value )
+            },
+
+            /**
+             * Individual column searching condition
+             *
+             * Every column with a search value differing from its initial search is kept as the column
+             * ID (See _columnId()) and the (encoded) search value, delimited by a ~ (EG: 1~London.3~r;%5E61),
+             * a column with its initial search cleared is kept without a search value (EG: 2~)
+             */
+            colsearch: {
+                // Hash Key
+                key: 'q',
+
+                // Event to trigger the hash update for
+                event: 'search.dt',
+
+                // Wait (ms) before updating the hash, so typing only results in a single update
+                debounce: 500,
+
+                // Can be loaded prior to the first draw
+                preInit: true,
+
+                // Check if condition is setup on table
+                isInit: ( ) => (
+                    typeof _parent._dtSettings.oInit.searching === 'undefined'
+                        || _parent._dtSettings.oInit.searching !== false
+                ),
+
+                // Function to check if a condition exists in the hash, and to process it
+                onLoad: ( hashComponent ) => {
+                    if ( typeof hashComponent === 'undefined' )
+                        return;
+
+                    let searches = {};
+
+                    // An empty value is every column at its initial search
+                    $.each( hashComponent.length !== 0 ? hashComponent.split( '.' ) : [], ( i, c ) => {
+                        if ( c.indexOf( '~' ) === -1 ) {
+                            console.warn('Unknown column search condition value, expected a column and search value, found:', c);
+                            return;
+                        }
+
+                        let colIdx = _parent._columnIndex( decodeURIComponent( c.substring( 0, c.indexOf( '~' ) ) ) );
+
+                        if ( colIdx !== -1 )
+                            searches[ colIdx ] = c.substring( c.indexOf( '~' ) + 1 );
+                    });
+
+                    // Any columns not found in the hash are searched by their initial search
+                    _parent._dtApi.columns( ).every( colIdx => {
+                        let value   = typeof searches[ colIdx ] !== 'undefined' ? searches[ colIdx ] : _parent._columnSearch( colIdx, true ),
+                            search  = KeepConditions.decodeSearch( value );
+
+                        // Nothing to do if its the current search (with the same flags)
+                        if ( value === _parent._columnSearch( colIdx ) )
+                            return;
+
+                        _parent._dtApi.column( colIdx ).search( search.search, search.regex, search.smart, search.caseInsensitive );
+                        _parent._shouldDraw = true;
+                    } );
+
+                    _parent._fillColumnInputs( );
+                },
+
+                // Function to reset the condition back to its default (When missing from the hash)
+                onReset: ( ) => {
+                    _parent._dtApi.columns( ).every( colIdx => {
+                        let search = KeepConditions.decodeSearch( _parent._columnSearch( colIdx, true ) );
+
+                        _parent._dtApi.column( colIdx ).search( search.search, search.regex, search.smart, search.caseInsensitive );
+                    } );
+
+                    _parent._shouldDraw = true;
+
+                    _parent._fillColumnInputs( );
+                },
+
+                // Check if any of the column searches differ from their initial searches
+                isset: ( ) => _parent._dtApi.columns( ).indexes( )
+                    .filter( colIdx => _parent._columnSearch( colIdx ) !== _parent._columnSearch( colIdx, true ) ).any( ),
+
+                // Return the new value to be stored in the hash for this conditions component
+                newHashVal: ( ) => {
+                    let searches = [];
+
+                    _parent._dtApi.columns( ).indexes( ).each( colIdx => {
+                        let search = _parent._columnSearch( colIdx );
+
+                        if ( search !== _parent._columnSearch( colIdx, true ) )
+                            searches.push( `${KeepConditions.encode( _parent._columnId( colIdx ) )}~${search}` );
+                    } );
+
+                    return searches.join( '.' );
+                },
+
+                // Return the current value of this condition (See get()), the searches differing from
+                // the initial searches by column index (EG: { 1: 'London' })
+                value: ( ) => {
+                    let searches = {};
+
+                    _parent._dtApi.columns( ).indexes( ).each( colIdx => {
+                        if ( _parent._columnSearch( colIdx ) !== _parent._columnSearch( colIdx, true ) )
+                            searches[ colIdx ] = _parent._searchValue( _parent._dtSettings.aoPreSearchCols[ colIdx ] );
+                    } );
+
+                    return searches;
+                },
+
+                // Encode a value of this condition (As returned by value()) into its hash value
+                encode: ( value ) => $.map( value, ( search, colIdx ) =>
+                    `${KeepConditions.encode( _parent._columnId( parseInt( colIdx ) ) )}~${_parent._encodeSearchValue( search )}` ).join( '.' )
+            },
+
+            /**
+             * External inputs condition
+             *
+             * Inputs outside of the table bound to it (See _inputs()), such as the date pickers or
+             * checkboxes of custom $.fn.dataTable.ext.search filters. Every parameter that isn't at
+             * its initial value is kept as the (encoded) parameter name and value, delimited by a ~
+             * (EG: min~2015%2D01%2D01.office~London,Tokyo)
+             */
+            inputs: {
+                // Hash Key
+                key: 'i',
+
+                // Event to trigger the hash update for (The table is redrawn when the filters change)
+                event: 'draw.dt',
+
+                // Can be loaded prior to the first draw
+                preInit: true,
+
+                // Check if any inputs are bound to the table
+                isInit: ( ) => ! $.isEmptyObject( _parent._inputs( ) ),
+
+                // Function to check if a condition exists in the hash, and to process it
+                onLoad: ( hashComponent ) => {
+                    if ( typeof hashComponent === 'undefined' )
+                        return;
+
+                    let values = {};
+
+                    $.each( hashComponent.split( '.' ), ( i, c ) => {
+                        if ( c.indexOf( '~' ) === -1 ) {
+                            console.warn('Unknown inputs condition value, expected a parameter and value, found:', c);
+                            return;
+                        }
+
+                        values[ decodeURIComponent( c.substring( 0, c.indexOf( '~' ) ) ) ] = c.substring( c.indexOf( '~' ) + 1 );
+                    });
+
+                    // Any parameters not found in the hash are set back to their initial values
+                    $.each( _parent._inputs( ), ( param, $inputs ) => {
+                        let value = typeof values[ param ] !== 'undefined'
+                            ? values[ param ]
+                            : ( _parent._inputDefaults[ param ] || '' );
+
+                        if ( value === _parent._inputValue( $inputs ) )
+                            return;
+
+                        _parent._setInputValue( $inputs, value );
+                        _parent._shouldDraw = true;
+                    });
+                },
+
+                // Function to reset the condition back to its default (When missing from the hash)
+                onReset: ( ) => {
+                    $.each( _parent._inputs( ), ( param, $inputs ) => {
+                        _parent._setInputValue( $inputs, _parent._inputDefaults[ param ] || '' );
+                    });
+
+                    _parent._shouldDraw = true;
+                },
+
+                // Check if any of the inputs aren't at their initial values
+                isset: ( ) => {
+                    var result = false;
+
+                    $.each( _parent._inputs( ), ( param, $inputs ) => {
+                        if ( _parent._inputValue( $inputs ) !== ( _parent._inputDefaults[ param ] || '' ) ) {
+                            result = true;
+                            return false;
+                        }
+                    });
+
+                    return result;
+                },
+
+                // Return the new value to be stored in the hash for this conditions component
+                newHashVal: ( ) => {
+                    let values = [];
+
+                    $.each( _parent._inputs( ), ( param, $inputs ) => {
+                        let value = _parent._inputValue( $inputs );
+
+                        if ( value !== ( _parent._inputDefaults[ param ] || '' ) )
+                            values.push( `${KeepConditions.encode( param )}~${value}` );
+                    });
+
+                    return values.join( '.' );
+                }
+            },
+
+            /**
+             * Condition: Length
+             *
+             * @todo Check if the hash value is an existing value in the page length list
+             */
+            length: {
+                // Hash Key
+                key: 'l',
+
+                // Event to trigger the hash update for
+                event: 'length.dt',
+
+                // Can be loaded prior to the first draw
+                preInit: true,
+
+                // Check if condition is setup on table
+                isInit: ( ) => (
+                    ! ( _parent._dtSettings.oInit.lengthChange === false
+                        || ( typeof _parent._dtSettings.oInit.lengthChange === 'undefined'
+                            && _parent._dtDefaults.bLengthChange === false ) )
+                ),
+
+                // Function to check if a condition exists in the hash, and to process it
+                onLoad: ( hashComponent ) => {
+                    if ( typeof hashComponent !== 'undefined' ) {
+                        _parent._dtApi.page.len( parseInt( hashComponent ) );
+
+                        _parent._shouldDraw = true;
+                    }
+                },
+
+                // Function to reset the condition back to its default (When missing from the hash)
+                onReset: ( ) => {
+                    _parent._dtApi.page.len( _parent._initial.length );
+
+                    _parent._shouldDraw = true;
+                },
+
+                // Check if a value for this condition is currently set for the table (and not at default)
+                isset: ( ) => (
+                    _parent._dtApi.page.len( )
+                        && _parent._dtApi.page.len( ) !== _parent._initial.length
+                ),
+
+                // Return the new value to be stored in the hash for this conditions component
+                newHashVal: ( ) => _parent._dtApi.page.len( ),
+
+                // Return the current value of this condition (See get())
+                value: ( ) => _parent._dtApi.page.len( ),
+
+                // Encode a value of this condition (As returned by value()) into its hash value
+                encode: ( value ) => String( parseInt( value ) )
+            },
+
             /**
-             * Table searching (aka Filtering) condition
+             * Pagination
              */
-            search: {
+            page: {
                 // Hash Key
-                key: 'f',
+                key: 'p',
 
                 // Event to trigger the hash update for
-                event: 'search.dt',
+                event: 'page.dt',
+
+                // Can be loaded prior to the first draw (via the initial display start)
+                preInit: true,
 
                 // Check if condition is setup on table
                 isInit: ( ) => (
-                    typeof _parent._dtSettings.oInit.searching === 'undefined'
-                        || _parent._dtSettings.oInit.searching !== false
+                    ! ( _parent._dtSettings.oInit.paging === false
+                        || ( typeof _parent._dtSettings.oInit.paging === 'undefined'
+                            && _parent._dtDefaults.bPaginate === false ) )
+                ),
+
+                // Function to check if a condition exists in the hash, and to process it
+                onLoad: ( hashComponent ) => {
+                    // Prior to the first draw, there are no records to page through yet
+                    if ( _parent._initPending ) {
+                        if ( typeof hashComponent !== 'undefined' && parseInt( hashComponent ) >= 0
+                                && parseInt( hashComponent ) !== _parent._initial.page )
+                            _parent._initDisplayStart( parseInt( hashComponent ) * _parent._dtApi.page.len( ) );
+
+                        return;
+                    }
+
+                    if ( typeof hashComponent !== 'undefined' && parseInt( hashComponent ) >= 0
+                            && parseInt( hashComponent ) !== _parent._dtApi.page.info( ).page ) {
+                        _parent._dtApi.page( parseInt( hashComponent ) );
+
+                        _parent._shouldDraw = true;
+                    }
+                },
+
+                // Function to reset the condition back to its default (When missing from the hash)
+                onReset: ( ) => {
+                    _parent._dtApi.page( _parent._initial.page );
+
+                    _parent._shouldDraw = true;
+                },
+
+                // Check if a value for this condition is currently set for the table (and not at default)
+                isset: ( ) => (
+                    _parent._dtApi.page.info( )
+                        && _parent._dtApi.page.info( ).page !== _parent._initial.page
+                ),
+
+                // Return the new value to be stored in the hash for this conditions component
+                newHashVal: ( ) => _parent._dtApi.page.info( ).page,
+
+                // Return the current value of this condition (See get())
+                value: ( ) => _parent._dtApi.page.info( ).page,
+
+                // Encode a value of this condition (As returned by value()) into its hash value
+                encode: ( value ) => String( parseInt( value ) )
+            },
+
+            /**
+             * Column Visibility
+             */
+            colvis: {
+                // Hash Key
+                key: 'v',
+
+                // Event to trigger the hash update for
+                event: 'column-visibility.dt',
+
+                // Colvis is always true, since it's actually just a column setting, nothing more
+                isInit: ( ) => true,
+
+                // Function to check if a condition exists in the hash, and to process it
+                onLoad: ( hashComponent ) => {
+                    if ( typeof hashComponent !== 'undefined' ) {
+                        let isVis   = hashComponent.charAt( 0 ),
+                            columns = [];
+
+                        // If the header was messed with, just skip the col vis
+                        if ( isVis !== 'f' &&  isVis !== 't'){
+                            console.warn('Unknown ColVis condition visibility value, expected t or f, found:',isVis);
+                            return;
+                        }
+
+                        // Get the index of each column in the list, any that no longer exist are ignored
+                        $.each( hashComponent.substring( 1 ).split( '.' ), ( i, id ) => {
+                            let colIdx = id.length !== 0 ? _parent._columnIndex( decodeURIComponent( id ) ) : -1;
+
+                            if ( colIdx !== -1 )
+                                columns.push( colIdx );
+                        });
+
+                        _parent._dtApi.columns( ).indexes( ).each( ( value, index ) => {
+                            // Parse as visible list
+                            if ( isVis === 't' ) {
+                                if ( $.inArray( value, columns ) === - 1 )
+                                    _parent._dtApi.column( value ).visible( false );
+                                else
+                                    _parent._dtApi.column( value ).visible( true );
+                            }
+                            // Parse as hidden list
+                            else {
+                                if ( $.inArray( value, columns ) === - 1 )
+                                    _parent._dtApi.column( value ).visible( true );
+                                else
+                                    _parent._dtApi.column( value ).visible( false );
+                            }
+                        } );
+
+                        _parent._shouldDraw = true;
+                    }
+                },
+
+                // Function to reset the condition back to its default (When missing from the hash)
+                onReset: ( ) => {
+                    _parent._dtApi.columns( ).indexes( ).each( colIdx => {
+                        _parent._dtApi.column( colIdx ).visible( _parent._initial.colvis[ _parent._originalIndex( colIdx ) ] !== false );
+                    } );
+
+                    _parent._shouldDraw = true;
+                },
+
+                // Check if the visibility of any of the columns differs from their initial visibility
+                isset: ( ) => _parent._dtApi.columns( ).visible( )
+                    .filter( ( v, colIdx ) => v !== ( _parent._initial.colvis[ _parent._originalIndex( colIdx ) ] !== false ) ).any( ),
+
+                // Return the new value to be stored in the hash for this conditions component
+                newHashVal: ( ) => {
+                    let t = [], // visible
+                        f = []; // hidden
+
+                    // Add the visible col IDs to t, and hidden to f
+                    _parent._dtApi.columns( ).visible( ).each( ( value, index ) => {
+                        if ( value === true )
+                            t.push( KeepConditions.encode( _parent._columnId( index ) ) );
+                        else
+                            f.push( KeepConditions.encode( _parent._columnId( index ) ) );
+                    } );
+
+                    // If nothings hidden, don't update the hash
+                    // @todo What if columns are hidden by default? And viewer wants to unhide all
+                    //if ( f.length === 0 ) return false;
+
+                    // If visible column count is greater, then use non-vis. Columns identified by
+                    // name always use non-vis, so any columns added later on are still visible
+                    if ( t.length >= f.length || _parent._columnIds !== 'index' )
+                        return `f${f.join('.')}`;
+
+                    // Otherwise, use visible count
+                    return `t${t.join('.')}`;
+                },
+
+                // Return the current value of this condition (See get()), the indexes of the hidden
+                // columns (EG: [ 1, 3 ])
+                value: ( ) => _parent._dtApi.columns( ).indexes( )
+                    .filter( colIdx => ! _parent._dtApi.column( colIdx ).visible( ) ).toArray( ),
+
+                // Encode a value of this condition (As returned by value()) into its hash value
+                encode: ( value ) => `f${$.map( value, colIdx => KeepConditions.encode( _parent._columnId( parseInt( colIdx ) ) ) ).join( '.' )}`
+            },
+
+            /**
+             * Scroller Extension
+             *
+             * Scroll position of the DT instance, as the position of the first visible row within
+             * the (searched and ordered) rows of the table (EG: s500)
+             */
+            scroller: {
+                // Hash Key
+                key: 's',
+
+                // Scroller is ran on every draw event
+                event: 'draw.dt',
+
+                // Wait (ms) before updating the hash, so scrolling only results in a single update
+                debounce: 250,
+
+                // Check if condition is setup on table
+                isInit: ( ) => typeof _parent._dtSettings.oScroller !== 'undefined',
+
+                // Function to check if a condition exists in the hash, and to process it
+                onLoad: ( hashComponent ) => {
+                    if ( typeof hashComponent === 'undefined' )
+                        return;
+
+                    let position = parseInt( hashComponent );
+
+                    if ( isNaN( position ) || position < 0 ) {
+                        console.warn('Unknown scroller condition value, expected a row position, found:', hashComponent);
+                        return;
+                    }
+
+                    // Scrolled once the table has been drawn with the other conditions (and the data has
+                    // been loaded, EG: For deferred rendering Ajax tables)
+                    _parent._loadCallbacks.push( ( ) => {
+                        if ( position !== _parent._dtApi.scroller.page( ).start )
+                            _parent._dtApi.scroller.toPosition( position, false );
+                    });
+
+                    // No redraw necessary for scroller
+                },
+
+                // Function to reset the condition back to its default (When missing from the hash)
+                onReset: ( ) => {
+                    _parent._loadCallbacks.push( ( ) => _parent._dtApi.scroller.toPosition( 0, false ) );
+                },
+
+                // Check if a value for this condition is currently set for the table (and not at default)
+                isset: ( ) => _parent._dtApi.scroller.page( ).start > 0,
+
+                // Return the new value to be stored in the hash for this conditions component (The
+                // position of the first visible row)
+                newHashVal: ( ) => _parent._dtApi.scroller.page( ).start,
+
+                // Return the current value of this condition (See get())
+                value: ( ) => _parent._dtApi.scroller.page( ).start,
+
+                // Encode a value of this condition (As returned by value()) into its hash value
+                encode: ( value ) => String( parseInt( value ) )
+            },
+
+            /**
+             * Scroll Position (Without Scroller)
+             *
+             * Horizontal and vertical scroll position (in pixels) of the scrolling body of tables
+             * using the scrollX or scrollY DT init settings without the Scroller extension, as the
+             * left and top offsets (EG: y120.300)
+             */
+            scroll: {
+                // Hash Key
+                key: 'y',
+
+                // Scrolling the table body doesn't trigger any DT events, so the scroll event of the
+                // scrolling body itself is listened to (See the node method below)
+                event: 'scroll',
+
+                // Element the event is attached to
+                node: ( ) => _parent._dtSettings.nScrollBody,
+
+                // Wait (ms) before updating the hash, so scrolling only results in a single update
+                debounce: 250,
+
+                // Check if the table is scrolling, and not via Scroller (See the scroller condition)
+                isInit: ( ) => (
+                    ( _parent._dtSettings.oScroll.sX !== '' || _parent._dtSettings.oScroll.sY !== '' )
+                    && typeof _parent._dtSettings.oScroller === 'undefined'
+                    && ! _parent._dtSettings.oInit.scroller
                 ),
 
                 // Function to check if a condition exists in the hash, and to process it
                 onLoad: ( hashComponent ) => {
-                    if ( typeof hashComponent !== 'undefined'
-                        && _parent._dtApi.search( ) !== decodeURIComponent( hashComponent )) {
-                        _parent._dtApi.search( decodeURIComponent( hashComponent ) );
+                    if ( typeof hashComponent === 'undefined' )
+                        return;
+
+                    let offsets = $.map( hashComponent.split( '.' ), offset => parseInt( offset ) );
+
+                    if ( offsets.length !== 2 || isNaN( offsets[ 0 ] ) || isNaN( offsets[ 1 ] ) ) {
+                        console.warn('Unknown scroll condition value, expected the left and top offsets, found:', hashComponent);
+                        return;
+                    }
+
+                    // Scrolled once the table has been drawn with the other conditions
+                    _parent._loadCallbacks.push( ( ) => {
+                        $( _parent._dtSettings.nScrollBody )
+                            .scrollLeft( offsets[ 0 ] )
+                            .scrollTop( offsets[ 1 ] );
+                    });
+
+                    // No redraw necessary for scrolling
+                },
+
+                // Function to reset the condition back to its default (When missing from the hash)
+                onReset: ( ) => {
+                    _parent._loadCallbacks.push( ( ) => {
+                        $( _parent._dtSettings.nScrollBody )
+                            .scrollLeft( 0 )
+                            .scrollTop( 0 );
+                    });
+                },
+
+                // Check if a value for this condition is currently set for the table (and not at default)
+                isset: ( ) => _parent.conditions( 'scroll' ).newHashVal( ) !== '0.0',
+
+                // Return the new value to be stored in the hash for this conditions component
+                newHashVal: ( ) => {
+                    let $body = $( _parent._dtSettings.nScrollBody );
+
+                    return `${Math.round( $body.scrollLeft( ) || 0 )}.${Math.round( $body.scrollTop( ) || 0 )}`;
+                },
+
+                // Return the current value of this condition (See get()), EG: { left: 120, top: 300 }
+                value: ( ) => {
+                    let $body = $( _parent._dtSettings.nScrollBody );
+
+                    return { left: Math.round( $body.scrollLeft( ) || 0 ), top: Math.round( $body.scrollTop( ) || 0 ) };
+                },
+
+                // Encode a value of this condition (As returned by value()) into its hash value
+                encode: ( value ) => `${parseInt( value.left ) || 0}.${parseInt( value.top ) || 0}`
+            },
+
+            /**
+             * Column Sequence Order
+             *
+             * Order of columns as seen in header of table
+             */
+            colorder: {
+                // Hash Key
+                key: 'c',
+
+                // Event to trigger the hash update for
+                event: 'column-reorder.dt',
+
+                // Check if setting/extension/plugin is setup on table
+                isInit: ( ) => {
+                    return typeof _parent._dtSettings._colReorder !== 'undefined'
+                },
+
+                // Function to check if a condition exists in the hash, and to process it
+                onLoad: ( hashComponent ) => {
+                    let res = [];
+
+                    // Columns identified by name are just the list of columns (original indexes), any
+                    // columns no longer existing are ignored, and any new columns are added to the end
+                    if ( _parent._columnIds !== 'index' ) {
+                        $.each(hashComponent.split('.'), (is,s) => {
+                            let origIdx = _parent._columnIndex( decodeURIComponent( s ), true );
+
+                            if ( origIdx !== -1 && $.inArray( origIdx, res ) === -1 )
+                                res.push( origIdx );
+                        });
+
+                        $.each( _parent._dtSettings.aoColumns, ( i ) => {
+                            if ( $.inArray( _parent._originalIndex( i ), res ) === -1 )
+                                res.push( _parent._originalIndex( i ) );
+                        });
+                    }
+                    else {
+                        res = KeepConditions.expandSequence( hashComponent );
+                    }
+
+                    let hashColOrder = res.map( i => parseInt( i ) );
+
+                    // @todo remove after fixing init issue
+                    if ( typeof _parent._dtApi.colReorder === 'undefined' ) return false
+
+                    if ( JSON.stringify( hashColOrder ) !== JSON.stringify( _parent._dtApi.colReorder.order( ) ) ) {
+                        _parent._dtApi.colReorder.order( hashColOrder, true );
+
                         _parent._shouldDraw = true;
                     }
                 },
 
+                // Function to reset the condition back to its default (When missing from the hash)
+                onReset: ( ) => {
+                    // Back to the initial order (colReorder.order DT init setting), if there was one
+                    if ( _parent._initial.colorder !== null )
+                        _parent._dtApi.colReorder.order( _parent._initial.colorder, true );
+                    else
+                        _parent._dtApi.colReorder.reset( );
+
+                    _parent._shouldDraw = true;
+                },
+
                 // Check if a value for this condition is currently set for the table (and not at default)
-                isset: ( ) => _parent._dtApi.search( ).length !== 0,
+                isset: ( ) => {
+                    // @todo remove after fixing init issue
+                    if ( typeof _parent._dtApi.colReorder === 'undefined' ) return false
+
+                    return JSON.stringify( _parent._dtApi.colReorder.order( ) )
+                        !== JSON.stringify( _parent._initial.colorder || _parent._dtApi.columns( ).indexes( ).toArray( ) );
+                },
 
                 // Return the new value to be stored in the hash for this conditions component
-                newHashVal: ( ) => encodeURIComponent( _parent._dtApi.search( ) )
+                newHashVal: ( ) => _parent.conditions( 'colorder' ).encode( _parent._dtApi.colReorder.order( ) ),
+
+                // Return the current value of this condition (See get()), the original indexes of the
+                // columns in their current order (EG: [ 2, 0, 1 ])
+                value: ( ) => _parent._dtApi.colReorder.order( ),
+
+                // Encode a value of this condition (As returned by value()) into its hash value
+                encode: ( value ) => {
+                    // Columns identified by name can't be shortened into sequences
+                    if ( _parent._columnIds !== 'index' )
+                        return $.map( value,
+                            origIdx => KeepConditions.encode( _parent._columnId( parseInt( origIdx ), true ) ) ).join( '.' );
+
+                    return KeepConditions.compressSequence( $.map( value, origIdx => parseInt( origIdx ) ) );
+                }
             },
 
             /**
-             * Condition: Length
+             * RowReorder Extension
              *
-             * @todo Check if the hash value is an existing value in the page length list
+             * Order of the rows, as the position of each row within the initial row order (See
+             * _rowSequence()), shortened via KeepConditions.compressSequence(). EG: Moving the 6th
+             * row to the top of 30 rows is 5.0-4.6-29. The rows need a stable identity, so the table
+             * needs the rowId DT init setting
              */
-            length: {
+            rowreorder: {
                 // Hash Key
-                key: 'l',
+                key: 'w',
 
-                // Event to trigger the hash update for
-                event: 'length.dt',
+                // Event to trigger the hash update for (Once the row data has been updated)
+                event: 'row-reordered.dt',
 
-                // Check if condition is setup on table
-                isInit: ( ) => (
-                    ! ( _parent._dtSettings.oInit.lengthChange === false
-                        || ( typeof _parent._dtSettings.oInit.lengthChange === 'undefined'
-                            && _parent._dtDefaults.bLengthChange === false ) )
-                ),
+                // Check if setting/extension/plugin is setup on table (with row IDs)
+                isInit: ( ) => {
+                    if ( typeof _parent._dtSettings.rowreorder === 'undefined' )
+                        return false;
+
+                    if ( ! _parent._hasRowId( ) ) {
+                        // Only warn once DataTables is initialized, since this is checked again then
+                        if ( _parent._dtSettings._bInitComplete === true )
+                            console.warn(`[keepConditions:${_parent._tableId}] The rowreorder condition requires the rowId DT init setting, not enabling it`);
+
+                        return false;
+                    }
+
+                    return true;
+                },
 
                 // Function to check if a condition exists in the hash, and to process it
                 onLoad: ( hashComponent ) => {
-                    if ( typeof hashComponent !== 'undefined' ) {
-                        _parent._dtApi.page.len( parseInt( hashComponent ) );
+                    if ( typeof hashComponent === 'undefined' || _parent._rowOrder === null )
+                        return;
 
-                        _parent._shouldDraw = true;
+                    let positions   = KeepConditions.expandSequence( hashComponent ),
+                        count       = _parent._rowOrder.ids.length,
+                        found       = {};
+
+                    let valid       = positions.length === count;
+
+                    // The sequence needs to contain each of the (initial) rows exactly once
+                    $.each( positions, ( i, p ) => {
+                        if ( isNaN( p ) || p < 0 || p >= count || found[ p ] === true ) {
+                            valid = false;
+                            return false;
+                        }
+
+                        found[ p ] = true;
+                    });
+
+                    if ( ! valid ) {
+                        console.warn('Unknown rowreorder condition value, expected a sequence of every row, found:', hashComponent);
+                        return;
                     }
+
+                    // Nothing to do if its the current order
+                    if ( hashComponent === _parent.conditions( 'rowreorder' ).newHashVal( ) )
+                        return;
+
+                    _parent._setRowSequence( positions.map( p => _parent._rowOrder.ids[ p ] ) );
+
+                    _parent._shouldDraw = true;
+                },
+
+                // Function to reset the condition back to its default (When missing from the hash)
+                onReset: ( ) => {
+                    _parent._setRowSequence( _parent._rowOrder.ids );
+
+                    _parent._shouldDraw = true;
                 },
 
                 // Check if a value for this condition is currently set for the table (and not at default)
                 isset: ( ) => (
-                    _parent._dtApi.page.len( )
-                        && _parent._dtApi.page.len( ) !== ( _parent._dtSettings.oInit.pageLength || _parent._dtDefaults.iDisplayLength )
+                    _parent._rowOrder !== null
+                        && JSON.stringify( _parent._rowSequence( ).ids ) !== JSON.stringify( _parent._rowOrder.ids )
                 ),
 
                 // Return the new value to be stored in the hash for this conditions component
-                newHashVal: ( ) => _parent._dtApi.page.len( )
+                newHashVal: ( ) => {
+                    let positions = {};
+
+                    $.each( _parent._rowOrder.ids, ( i, id ) => {
+                        positions[ id ] = i;
+                    });
+
+                    // Any rows added since (not in the initial row order) are left out
+                    return KeepConditions.compressSequence( $.map( _parent._rowSequence( ).ids,
+                        id => typeof positions[ id ] !== 'undefined' ? positions[ id ] : null ) );
+                }
             },
 
             /**
-             * Pagination
+             * SearchBuilder Extension
+             *
+             * Criteria of the SearchBuilder (As retrieved via searchBuilder.getDetails()), encoded
+             * via KeepConditions.encodeJson()
              */
-            page: {
+            searchbuilder: {
                 // Hash Key
-                key: 'p',
+                key: 'b',
 
-                // Event to trigger the hash update for
-                event: 'page.dt',
+                // Event to trigger the hash update for (The table is redrawn when the criteria change)
+                event: 'draw.dt',
 
-                // Check if condition is setup on table
-                isInit: ( ) => (
-                    ! ( _parent._dtSettings.oInit.paging === false
-                        || ( typeof _parent._dtSettings.oInit.paging === 'undefined'
-                            && _parent._dtDefaults.bPaginate === false ) )
-                ),
+                // Check if setting/extension/plugin is setup on table
+                isInit: ( ) => typeof _parent._dtSettings._searchBuilder !== 'undefined',
 
                 // Function to check if a condition exists in the hash, and to process it
                 onLoad: ( hashComponent ) => {
-                    if ( typeof hashComponent !== 'undefined' && parseInt( hashComponent ) !== 0 ) {
-                        _parent._dtApi.page( parseInt( hashComponent ) );
+                    if ( typeof hashComponent === 'undefined' )
+                        return;
 
-                        _parent._shouldDraw = true;
+                    let details = KeepConditions.decodeJson( hashComponent );
+
+                    if ( ! $.isPlainObject( details ) ) {
+                        console.warn('Unknown searchbuilder condition value, expected encoded criteria, found:', hashComponent);
+                        return;
                     }
+
+                    // Nothing to do if its the current criteria
+                    if ( hashComponent === _parent.conditions( 'searchbuilder' ).newHashVal( ) )
+                        return;
+
+                    _parent._dtApi.searchBuilder.rebuild( details );
+
+                    _parent._shouldDraw = true;
+                },
+
+                // Function to reset the condition back to its default (When missing from the hash)
+                onReset: ( ) => {
+                    _parent._dtApi.searchBuilder.rebuild( );
+
+                    _parent._shouldDraw = true;
                 },
 
                 // Check if a value for this condition is currently set for the table (and not at default)
-                isset: ( ) => (
-                    _parent._dtApi.page.info( )
-                        && _parent._dtApi.page.info( ).page !== 0
-                ),
+                isset: ( ) => {
+                    let details = _parent._dtApi.searchBuilder.getDetails( );
+
+                    return $.isArray( details.criteria ) && details.criteria.length !== 0;
+                },
 
                 // Return the new value to be stored in the hash for this conditions component
-                newHashVal: ( ) => _parent._dtApi.page.info( ).page
+                newHashVal: ( ) => KeepConditions.encodeJson( _parent._dtApi.searchBuilder.getDetails( ) ),
+
+                // Return the current value of this condition (See get()), the SearchBuilder details
+                value: ( ) => _parent._dtApi.searchBuilder.getDetails( ),
+
+                // Encode a value of this condition (As returned by value()) into its hash value
+                encode: ( value ) => KeepConditions.encodeJson( value )
             },
 
             /**
-             * Column Visibility
+             * SearchPanes Extension
+             *
+             * Selected options of each pane, as the pane ID (See _searchPanes()) and the (encoded)
+             * selected values delimited by a ,, each pane delimited by a ~ (EG: 1~London,Tokyo.2~61)
              */
-            colvis: {
+            searchpanes: {
                 // Hash Key
-                key: 'v',
+                key: 'n',
 
-                // Event to trigger the hash update for
-                event: 'column-visibility.dt',
+                // Event to trigger the hash update for (The table is redrawn when the selections change)
+                event: 'draw.dt',
 
-                // Colvis is always true, since it's actually just a column setting, nothing more
-                isInit: ( ) => true,
+                // Check if setting/extension/plugin is setup on table
+                isInit: ( ) => typeof _parent._dtSettings._searchPanes !== 'undefined' && _parent._searchPanesSupported( ),
 
                 // Function to check if a condition exists in the hash, and to process it
                 onLoad: ( hashComponent ) => {
-                    if ( typeof hashComponent !== 'undefined' ) {
-                        let isVis   = hashComponent.charAt( 0 ),
-                            columns = hashComponent.substring( 1 ).split( '.' );
+                    if ( typeof hashComponent === 'undefined' )
+                        return;
 
-                        // If the header was messed with, just skip the col vis
-                        if ( isVis !== 'f' &&  isVis !== 't'){
-                            console.warn('Unknown ColVis condition visibility value, expected t or f, found:',isVis);
+                    // Nothing to do if its the current selection
+                    if ( hashComponent === _parent.conditions( 'searchpanes' ).newHashVal( ) )
+                        return;
+
+                    let panes       = _parent._searchPanes( ),
+                        selections  = {};
+
+                    $.each( hashComponent.split( '.' ), ( i, c ) => {
+                        if ( c.indexOf( '~' ) === -1 ) {
+                            console.warn('Unknown searchpanes condition value, expected a pane and values, found:', c);
                             return;
                         }
 
-                        _parent._dtApi.columns( ).indexes( ).each( ( value, index ) => {
-                            // Parse as visible list
-                            if ( isVis === 't' ) {
-                                if ( $.inArray( value.toString( ), columns ) === - 1 )
-                                    _parent._dtApi.column( value ).visible( false );
-                                else
-                                    _parent._dtApi.column( value ).visible( true );
-                            }
-                            // Parse as hidden list
-                            else {
-                                if ( $.inArray( value.toString( ), columns ) === - 1 )
-                                    _parent._dtApi.column( value ).visible( true );
-                                else
-                                    _parent._dtApi.column( value ).visible( false );
-                            }
-                        } );
+                        let paneId = decodeURIComponent( c.substring( 0, c.indexOf( '~' ) ) );
 
-                        _parent._shouldDraw = true;
-                    }
+                        if ( typeof panes[ paneId ] === 'undefined' ) {
+                            console.warn(`[keepConditions:${_parent._tableId}] Unable to find the search pane '${paneId}', ignoring it`);
+                            return;
+                        }
+
+                        selections[ paneId ] = $.map( c.substring( c.indexOf( '~' ) + 1 ).split( ',' ), v => decodeURIComponent( v ) );
+                    });
+
+                    _parent._dtApi.searchPanes.clearSelections( );
+
+                    // Select the options of each pane (As the SearchPanes preSelect option would)
+                    $.each( selections, ( paneId, values ) => {
+                        let dtPane = panes[ paneId ].s.dtPane;
+
+                        dtPane.rows( ).every( rowIdx => {
+                            if ( $.inArray( String( dtPane.row( rowIdx ).data( ).filter ), values ) !== -1 )
+                                dtPane.row( rowIdx ).select( );
+                        });
+
+                        panes[ paneId ].updateTable( );
+                    });
+
+                    _parent._shouldDraw = true;
+                },
+
+                // Function to reset the condition back to its default (When missing from the hash)
+                onReset: ( ) => {
+                    _parent._dtApi.searchPanes.clearSelections( );
+
+                    _parent._shouldDraw = true;
                 },
 
                 // Check if a value for this condition is currently set for the table (and not at default)
-                isset: ( ) => _parent._dtApi.columns( ).visible( ).filter( v => ! v ).any( ),
+                isset: ( ) => _parent.conditions( 'searchpanes' ).newHashVal( ).length !== 0,
 
                 // Return the new value to be stored in the hash for this conditions component
                 newHashVal: ( ) => {
-                    let t = [], // visible
-                        f = []; // hidden
-
-                    // Add the visible col indexes to t, and hidden to f
-                    _parent._dtApi.columns( ).visible( ).each( ( value, index ) => {
-                        if ( value === true )
-                            t.push( index );
-                        else
-                            f.push( index );
-                    } );
+                    let selections = [];
 
-                    // If nothings hidden, don't update the hash
-                    // @todo What if columns are hidden by default? And viewer wants to unhide all
-                    //if ( f.length === 0 ) return false;
+                    $.each( _parent._searchPanes( ), ( paneId, pane ) => {
+                        let values = $.map( pane.s.dtPane.rows( { selected: true } ).data( ).toArray( ),
+                            row => KeepConditions.encode( String( row.filter ) ) );
 
-                    // If visible column count is greater, then use non-vis
-                    if ( t.length >= f.length )
-                        return `f${f.join('.')}`;
+                        if ( values.length !== 0 )
+                            selections.push( `${KeepConditions.encode( paneId )}~${values.join( ',' )}` );
+                    });
 
-                    // Otherwise, use visible count
-                    return `t${t.join('.')}`;
+                    return selections.join( '.' );
                 }
             },
 
             /**
-             * Scroller Extension
+             * Column Sorting Order
              *
-             * Scroll position of the DT instance
+             * Order condition (As in the sorting direction, NOT same as colorder)
              */
-            scroller: {
+            order: {
                 // Hash Key
-                key: 's',
+                key: 'o',
 
-                // Scroller is ran on every draw event
-                event: 'draw.dt',
+                // Event to trigger the hash update for
+                event: 'order.dt',
 
-                // Check if condition is setup on table
-                isInit: ( ) => typeof _parent._dtSettings.oScroller !== 'undefined',
+                // Can be loaded prior to the first draw
+                preInit: true,
 
-                // Function to check if a condition exists in the hash, and to process it
+                // Check if at least one column is sortable
+                isInit: ( ) => {
+                    var result = false;
+
+                    // Loop through the columns, as soon as one is found to be sortable,
+                    // set result to true, and quit the each loop
+                    $.each(this._dtSettings.aoColumns, (colIndx, col) => {
+                        if(col.bSortable === true){
+                            result = true;
+                            return false;
+                        }
+                    });
+
+                    return result;
+                },
+
+                // Function to check if a condition exists in the hash, and to process it. Each
+                // column being ordered is delimited by a '.' (EG: a2.d0.a5 for multi-column
+                // ordering), a single column is just the one (EG: a2)
                 onLoad: ( hashComponent ) => {
-                    if ( parseInt( hashComponent ) !== 0 )
-                        _parent._dtApi.row( parseInt( hashComponent ) ).scrollTo( );
+                    if ( typeof hashComponent !== 'undefined' ) {
+                        // Direction keys
+                        let dir     = {a: 'asc', d: 'desc'},
+                            order   = [];
+
+                        // An empty value is the table not being ordered at all
+                        $.each( hashComponent.length !== 0 ? hashComponent.split( '.' ) : [], ( i, c ) => {
+                            if ( typeof dir[ c.charAt( 0 ) ] === 'undefined' ) {
+                                console.warn('Unknown order condition value, expected a or d followed by a column, found:', c);
+                                return;
+                            }
 
-                    // No redraw necessary for scroller
+                            let colIdx = _parent._columnIndex( decodeURIComponent( c.substring( 1 ) ) );
+
+                            if ( colIdx !== -1 )
+                                order.push( [ colIdx, dir[ c.charAt( 0 ) ] ] );
+                        });
+
+                        // Nothing to do if the order found is the current order
+                        if ( ( order.length === 0 && hashComponent.length !== 0 )
+                                || JSON.stringify( order ) === JSON.stringify( _parent._dtApi.order( ) ) )
+                            return;
+
+                        // Execute the api method to order the column(s) accordingly
+                        _parent._dtApi.order( order );
+
+                        _parent._shouldDraw = true;
+                    }
                 },
 
-                // Check if a value for this condition is currently set for the table (and not at default)
-                isset: ( ) => Math.trunc( parseInt( _parent._dtSettings.oScroller.s.baseRowTop ) ) !== 0,
+                // Function to reset the condition back to its default (When missing from the hash)
+                onReset: ( ) => {
+                    _parent._dtApi.order( _parent._initialOrder( ) );
+
+                    _parent._shouldDraw = true;
+                },
+
+                // Check if the order differs from the initial order of the table
+                isset: ( ) => (
+                    JSON.stringify( $.map( _parent._dtApi.order( ), o => [ [ o[ 0 ], o[ 1 ] ] ] ) )
+                        !== JSON.stringify( _parent._initialOrder( ) )
+                ),
 
                 // Return the new value to be stored in the hash for this conditions component
-                newHashVal: ( ) => {
-                    let scrollPos = Math.trunc( parseInt( _parent._dtSettings.oScroller.s.baseRowTop ) );
+                // (Every column being ordered, EG: a2.d0.a5)
+                newHashVal: ( ) => $.map( _parent._dtApi.order( ),
+                    o => o[ 1 ].charAt( 0 ) + KeepConditions.encode( _parent._columnId( o[ 0 ] ) ) ).join( '.' ),
 
-                    return scrollPos !== 0
-                        ? scrollPos
-                        : false;
-                }
+                // Return the current value of this condition (See get()), EG: [ [ 2, 'asc' ] ]
+                value: ( ) => $.map( _parent._dtApi.order( ), o => [ [ o[ 0 ], o[ 1 ] ] ] ),
+
+                // Encode a value of this condition (As returned by value()) into its hash value, a
+                // single column can be given as just the [ col, dir ] pair
+                encode: ( value ) => $.map( value.length !== 0 && ! $.isArray( value[ 0 ] ) ? [ value ] : value,
+                    o => String( o[ 1 ] ).charAt( 0 ).toLowerCase( ) + KeepConditions.encode( _parent._columnId( parseInt( o[ 0 ] ) ) ) ).join( '.' )
             },
 
             /**
-             * Column Sequence Order
+             * Select Extension
              *
-             * Order of columns as seen in header of table
+             * Selected rows (by row ID), columns (by column ID, see _columnId()) and cells (by row
+             * and column ID, delimited by a ,), each group delimited by a ~ (EG: 12.15~2~17,3). The
+             * rows need a stable identity, so the table needs the rowId DT init setting
              */
-            colorder: {
+            select: {
                 // Hash Key
-                key: 'c',
+                key: 'e',
 
                 // Event to trigger the hash update for
-                event: 'column-reorder.dt',
+                event: 'select.dt deselect.dt',
 
-                // Check if setting/extension/plugin is setup on table
+                // Check if setting/extension/plugin is setup on table (with row IDs). The Select
+                // extension is setup on every table once loaded (EG: For SearchPanes), so it also
+                // needs to be enabled via the select DT init setting
                 isInit: ( ) => {
-                    return typeof _parent._dtSettings._colReorder !== 'undefined'
+                    if ( typeof _parent._dtSettings._select === 'undefined'
+                        || ! ( _parent._dtSettings.oInit.select || _parent._dtDefaults.select ) )
+                        return false;
+
+                    if ( ! _parent._hasRowId( ) ) {
+                        // Only warn once DataTables is initialized, since this is checked again then
+                        if ( _parent._dtSettings._bInitComplete === true )
+                            console.warn(`[keepConditions:${_parent._tableId}] The select condition requires the rowId DT init setting, not enabling it`);
+
+                        return false;
+                    }
+
+                    return true;
                 },
 
                 // Function to check if a condition exists in the hash, and to process it
                 onLoad: ( hashComponent ) => {
-                    let preSeq = hashComponent.split('.'),
-                        res = [];
-
-                    // Check for any array items that are sequences (eg: 2-6)
-                    $.each(preSeq, (is,s) => {
-                        if(s.indexOf('-') !== -1){
-                            var spl = s.split('-'),
-                                a 	= parseInt(spl[0]),
-                                b	= parseInt(spl[1]);
-                            if(a > b)
-                                for(let i=a; b<i+1;i--){
-                                    res.push(i);
-                                }
-                            else
-                                for(let i=a; b>i-1;i++){
-                                    res.push(i);
-                                }
-                        }
-                        else {
-                            res.push(s);
+                    if ( typeof hashComponent === 'undefined' || hashComponent === _parent.conditions( 'select' ).newHashVal( ) )
+                        return;
+
+                    let groups  = $.map( hashComponent.split( '~' ),
+                            g => [ g.length !== 0 ? g.split( '.' ) : [ ] ] ),
+                        rowIds  = $.map( groups[ 0 ], id => decodeURIComponent( id ) ),
+                        rows    = _parent._rowIndexes( rowIds ),
+                        columns = [],
+                        cells   = [];
+
+                    // Columns no longer existing are ignored
+                    $.each( groups[ 1 ] || [], ( i, id ) => {
+                        let colIdx = _parent._columnIndex( decodeURIComponent( id ) );
+
+                        if ( colIdx !== -1 )
+                            columns.push( colIdx );
+                    });
+
+                    // Cells of rows or columns no longer existing are ignored
+                    $.each( groups[ 2 ] || [], ( i, c ) => {
+                        if ( c.indexOf( ',' ) === -1 ) {
+                            console.warn('Unknown select condition cell, expected a row and column, found:', c);
+                            return;
                         }
+
+                        let rowId   = decodeURIComponent( c.substring( 0, c.indexOf( ',' ) ) ),
+                            rowIdx  = _parent._rowIndexes( [ rowId ] )[ rowId ],
+                            colIdx  = _parent._columnIndex( decodeURIComponent( c.substring( c.indexOf( ',' ) + 1 ) ) );
+
+                        if ( typeof rowIdx !== 'undefined' && colIdx !== -1 )
+                            cells.push( { row: rowIdx, column: colIdx } );
                     });
 
-                    let hashColOrder = res.map( i => parseInt( i ) );
+                    _parent.conditions( 'select' ).onReset( );
 
-                    // @todo remove after fixing init issue
-                    if ( typeof _parent._dtApi.colReorder === 'undefined' ) return false
+                    if ( ! $.isEmptyObject( rows ) )
+                        _parent._dtApi.rows( $.map( rows, rowIdx => rowIdx ) ).select( );
 
-                    if ( JSON.stringify( hashColOrder ) !== JSON.stringify( _parent._dtApi.colReorder.order( ) ) ) {
-                        _parent._dtApi.colReorder.order( hashColOrder, true );
+                    if ( columns.length !== 0 )
+                        _parent._dtApi.columns( columns ).select( );
 
-                        _parent._shouldDraw = true;
-                    }
-                },
+                    if ( cells.length !== 0 )
+                        _parent._dtApi.cells( cells ).select( );
 
-                // Check if a value for this condition is currently set for the table (and not at default)
-                isset: ( ) => {
-                    // @todo remove after fixing init issue
-                    if ( typeof _parent._dtApi.colReorder === 'undefined' ) return false
+                    // No redraw necessary for select
+                },
 
-                    return JSON.stringify( _parent._dtApi.colReorder.order( ) ) !== JSON.stringify( _parent._dtApi.columns( ).indexes( ).toArray( ) );
+                // Function to reset the condition back to its default (When missing from the hash)
+                onReset: ( ) => {
+                    _parent._dtApi.rows( { selected: true } ).deselect( );
+                    _parent._dtApi.columns( { selected: true } ).deselect( );
+                    _parent._dtApi.cells( { selected: true } ).deselect( );
                 },
 
+                // Check if a value for this condition is currently set for the table (and not at default)
+                isset: ( ) => (
+                    _parent._dtApi.rows( { selected: true } ).any( )
+                        || _parent._dtApi.columns( { selected: true } ).any( )
+                        || _parent._dtApi.cells( { selected: true } ).any( )
+                ),
+
                 // Return the new value to be stored in the hash for this conditions component
                 newHashVal: ( ) => {
-                    let sequence = _parent._dtApi.colReorder.order(),
-                        // Temp var used to store the previous number, reset on every iteration
-                        prev,
-                        // Gets joined by '.' on return
-                        result = [],
-                        // Current collection if sequenced numbers
-                        collection = [],
-                        // Return the number in the collection that is i spaces from the end
-                        lastInCol = (i) => {
-                            return collection[collection.length-i];
-                        },
-                        // Compile the collection (If > 2 characters, then it adds 'first-last',
-                        // if its just two characters, then it adds 'first.second'). Then empty
-                        // the collection array, and return the newly constructed string
-                        compileColl = () =>  {
-                            let ret;
-
-                            if(collection.length === 2)
-                                ret = collection[0]+'.'+collection[1];
-                            else
-                                ret = collection[0]+'-'+lastInCol(1);
-
-                            collection = [];
-                            return ret;
-                        }
+                    let groups = [
+                        $.map( _parent._dtApi.rows( { selected: true } ).ids( ).toArray( ),
+                            id => KeepConditions.encode( id ) ).join( '.' ),
 
-                    // Shorten the sequence of numbers (Converting something like
-                    // 1, 2, 3, 4 to 1-4, going in both directions
-                    $.each(sequence, (i,s) => {
-                        s = parseInt(s);
+                        $.map( _parent._dtApi.columns( { selected: true } ).indexes( ).toArray( ),
+                            colIdx => KeepConditions.encode( _parent._columnId( colIdx ) ) ).join( '.' ),
 
-                        // First one just gets added to result
-                        if( typeof prev === 'undefined'){
-                            result.push(s);
-                        }
-                        // Anything after the first..
-                        else {
-                            // If were on a roll with the sequence..
-                            if(collection.length > 0){
-                                // Check if were in sequence with the collection (Going positive)
-                                if(lastInCol(1) > lastInCol(2) && s === lastInCol(1)+1){
-                                    collection.push(s);
-                                }
-                                // Check if were in sequence with the collection (Going negative)
-                                else if(lastInCol(1) < lastInCol(2) && s === lastInCol(1)-1){
-                                    collection.push(s);
-                                }
-                                // Were running a collection, but this number isnt in sequence, so
-                                // terminate the collection and add the collection and the current
-                                // int to the result array
-                                else {
-                                    result.push(compileColl());
-                                    result.push(s);
-                                }
-                            }
-                            // Otherwise, check if we should start a sequence..
-                            else {
-                                // If this int and the prev are sequential in either direction,
-                                // start the collection
-                                if(s === prev+1 || s === prev-1){
-                                    // Pull the last item from the result
-                                    result.splice( result.length-1, 1 );
-                                    // add it to the collection
-                                    collection.push(prev);
-                                    collection.push(s);
-                                }
-                                // This number isnt in sequence with the last one, so dont start
-                                // a collection
-                                else {
-                                    result.push(s);
-                                }
-                            }
-                        }
+                        $.map( _parent._dtApi.cells( { selected: true } ).indexes( ).toArray( ),
+                            cell => KeepConditions.encode( _parent._dtApi.row( cell.row ).id( ) )
+                                + ',' + KeepConditions.encode( _parent._columnId( cell.column ) ) ).join( '.' )
+                    ];
+
+                    // Leave out any trailing empty groups
+                    while ( groups.length > 1 && groups[ groups.length - 1 ].length === 0 )
+                        groups.pop( );
+
+                    return groups.join( '~' );
+                }
+            },
+
+            /**
+             * Row (Link)
+             *
+             * Link to a specific row, by row ID (EG: r12345), which moves the pagination to the page
+             * containing the row (or scrolls to it via Scroller), and highlights it. Since the row
+             * is identified by its row ID, the link survives any changes to the order or the data.
+             * The row is only linked to (See rowHash()), the page is kept by the other conditions
+             */
+            row: {
+                // Hash Key
+                key: 'r',
+
+                // Event to trigger the hash update for (Which drops the row, once the table changes)
+                event: 'draw.dt',
+
+                // Check if the rows have a stable identity
+                isInit: ( ) => _parent._hasRowId( ),
+
+                // Function to check if a condition exists in the hash, and to process it
+                onLoad: ( hashComponent ) => {
+                    if ( typeof hashComponent === 'undefined' || hashComponent.length === 0 )
+                        return;
 
-                        prev = s;
+                    // Shown once the table has been drawn with the other conditions (EG: The order)
+                    _parent._loadCallbacks.push( ( ) => {
+                        _parent._showRow( decodeURIComponent( hashComponent ) );
+                        _parent._dropRowLink( );
                     });
+                },
 
-                    // Once the $.each loop is done, we need to ensure that
-                    // there's no leftover collection numbers
-                    if(collection.length > 0)
-                        result.push(compileColl());
+                // Nothing to reset, since the row is only linked to
+                onReset: ( ) => {},
 
-                    // Result should convert something like '[9,1,2,3,4,8,6,5,0]' to '9.1-4.8-5.0',
-                    // which is easily kept in the URL, and converted back later
-                    return result.join('.');
-                }
+                // The row is never kept (only linked to)
+                isset: ( ) => false,
+
+                // Encode a value of this condition (The row ID to link to, See set()) into its hash value
+                encode: ( value ) => KeepConditions.encode( value ),
+
+                // Return the new value to be stored in the hash for this conditions component
+                newHashVal: ( ) => ''
             },
 
             /**
-             * Column Sorting Order
+             * Child Rows (Including the Responsive extension details)
              *
-             * Order condition (As in the sorting direction, NOT same as colorder)
+             * Rows with their child rows shown, by row ID (EG: 12.15). The child rows are opened once
+             * the table has been drawn with the other conditions (EG: The restored page), so the rows
+             * need a stable identity, and the table needs the rowId DT init setting
              */
-            order: {
+            childrows: {
                 // Hash Key
-                key: 'o',
+                key: 'x',
 
-                // Event to trigger the hash update for
-                event: 'order.dt',
+                // Events to trigger the hash update for (Responsive triggers responsive-display, and
+                // DT 1.11+ triggers childRow when toggled, otherwise the toggle is clicked)
+                event: 'draw.dt responsive-display.dt childRow.dt click',
 
-                // Check if at least one column is sortable
+                // Only clicks on the toggle are handled (See _childRowSelector())
+                selector: ( ) => _parent._childRowSelector( ),
+
+                // Check if the table has child rows to keep (with row IDs)
                 isInit: ( ) => {
-                    var result = false;
+                    if ( _parent._childRowToggle( ) === false )
+                        return false;
+
+                    if ( ! _parent._hasRowId( ) ) {
+                        // Only warn once DataTables is initialized, since this is checked again then
+                        if ( _parent._dtSettings._bInitComplete === true )
+                            console.warn(`[keepConditions:${_parent._tableId}] The childrows condition requires the rowId DT init setting, not enabling it`);
 
-                    // Loop through the columns, as soon as one is found to be sortable,
-                    // set result to true, and quit the each loop
-                    $.each(this._dtSettings.aoColumns, (colIndx, col) => {
-                        if(col.bSortable === true){
-                            result = true;
-                            return false;
-                        }
-                    });
+                        return false;
+                    }
 
-                    return result;
+                    return true;
                 },
 
                 // Function to check if a condition exists in the hash, and to process it
                 onLoad: ( hashComponent ) => {
-                    if ( typeof hashComponent !== 'undefined' ) {
-                        // Direction keys
-                        let dir = {a: 'asc', d: 'desc'};
+                    if ( typeof hashComponent === 'undefined' )
+                        return;
 
-                        // @todo Should maybe check if the order found is current order?...
+                    let ids = $.map( hashComponent.split( '.' ), id => decodeURIComponent( id ) );
 
-                        // Execute the api method to order the column accordingly
-                        _parent._dtApi.order( [
-                            parseInt( hashComponent.substring( 1 ) ), dir[ hashComponent.charAt( 0 ) ]
-                        ] );
+                    // Opened once the table has been drawn
+                    _parent._loadCallbacks.push( ( ) => _parent._setChildRows( ids ) );
+                },
 
-                        _parent._shouldDraw = true;
-                    }
+                // Function to reset the condition back to its default (When missing from the hash)
+                onReset: ( ) => {
+                    _parent._loadCallbacks.push( ( ) => _parent._setChildRows( [] ) );
                 },
 
-                // Check if an order is set - and its not the default order
-                isset: ( ) => (
-                _parent._dtApi.order( )[0]
-                && JSON.stringify( _parent._dtApi.order( )) !== JSON.stringify( $.fn.dataTable.defaults.aaSorting )
-                ) ,
+                // Check if a value for this condition is currently set for the table (and not at default)
+                isset: ( ) => _parent.conditions( 'childrows' ).newHashVal( ).length !== 0,
 
                 // Return the new value to be stored in the hash for this conditions component
-                newHashVal: ( ) => _parent._dtApi.order( )[ 0 ][ 1 ].charAt( 0 ) + _parent._dtApi.order( )[ 0 ][ 0 ]
+                newHashVal: ( ) => _parent.conditions( 'childrows' ).encode( _parent.conditions( 'childrows' ).value( ) ),
+
+                // Return the current value of this condition (See get()), the IDs of the rows (on
+                // the current page) with their child rows shown
+                value: ( ) => {
+                    let ids = [];
+
+                    _parent._dtApi.rows( { page: 'current' } ).every( rowIdx => {
+                        let row = _parent._dtApi.row( rowIdx );
+
+                        if ( row.child.isShown( ) )
+                            ids.push( row.id( ) );
+                    });
+
+                    return ids;
+                },
+
+                // Encode a value of this condition (As returned by value()) into its hash value
+                encode: ( value ) => $.map( value, id => KeepConditions.encode( id ) ).join( '.' )
             }
         }
 
+        // Add any registered conditions (See KeepConditions.registerCondition()), with the
+        // methods executed as this KeepConditions instance
+        $.each( KeepConditions._conditions, ( name, condition ) => {
+            conditions[ name ] = $.extend( {}, condition, {
+                isInit:     ( ) => condition.isInit.call( _parent ) === true,
+
+                onLoad:     ( hashComponent ) => {
+                    if ( condition.onLoad.call( _parent, hashComponent ) === true )
+                        _parent._shouldDraw = true;
+                },
+
+                onReset:    ( ) => {
+                    if ( typeof condition.onReset === 'function' && condition.onReset.call( _parent ) === true )
+                        _parent._shouldDraw = true;
+                },
+
+                isset:      ( ) => condition.isset.call( _parent ),
+
+                newHashVal: ( ) => condition.newHashVal.call( _parent ),
+
+                node:       typeof condition.node === 'function'
+                    ? ( ) => condition.node.call( _parent )
+                    : undefined,
+
+                selector:   typeof condition.selector === 'function'
+                    ? ( ) => condition.selector.call( _parent )
+                    : undefined,
+
+                value:      typeof condition.value === 'function'
+                    ? ( ) => condition.value.call( _parent )
+                    : undefined,
+
+                encode:     typeof condition.encode === 'function'
+                    ? ( value ) => condition.encode.call( _parent, value )
+                    : undefined
+            } );
+        });
+
         // If retrieving a single condition - Return conditions object without the condition
         // name as key
         if ( typeof con === 'string' ){
@@ -1389,7 +5347,85 @@ class KeepConditions {
     }
 }
 
+/**
+ * KeepConditions default settings, any of which can be overridden by setting the
+ * keepConditions DT init setting to an object containing the setting
+ */
+KeepConditions.defaults = {
+    // Where the conditions are kept, either within the URL ('hash' or 'query'), within
+    // the browser storage ('local' or 'session'), or the name of any storage adapter
+    // registered via KeepConditions.registerStorage()
+    storage: 'hash',
+
+    // Seconds the conditions kept in the browser storage are valid for (0 for no limit)
+    duration: 0,
+
+    // What the columns are identified by within the hash, either their 'index', or their
+    // 'name' (columns.name) or 'data' (columns.data) values
+    columnIds: 'index',
+
+    // Inputs/selects within the column footers to fill with the column search values, when
+    // loaded from the hash (false to disable)
+    columnInputs: 'input, select',
+
+    // Either 'push' a new browser history entry for every URL update, or 'replace' the current one
+    history: 'push',
+
+    // Where the saved views are kept, either within the browser storage ('local' or 'session'), or
+    // the name of any view storage adapter registered via KeepConditions.registerViewStorage()
+    viewStorage: 'local',
+
+    // Predefined (read-only) views, as an object of views by name, each being either a conditions
+    // hash value (EG: 'fLondon:oa2'), or condition values as returned by keepConditions.get()
+    views: undefined,
+
+    // Number of condition changes that can be undone via keepConditions.undo() (0 to disable)
+    undo: 20,
+
+    // Undo/redo via Ctrl+Z and Ctrl+Y (Or Cmd+Z and Cmd+Shift+Z) while the table has the focus
+    undoKeys: false,
+
+    // How the child rows are opened, either a function (handed the row API instance, and whether
+    // to show or hide the child row), or a selector of the element within each row to click.
+    // Defaults to the details target of the Responsive extension (false to disable)
+    childRows: undefined,
+
+    // Class added to the row linked to via the row condition (false to disable), and how long
+    // (ms) it's kept for (0 to keep it)
+    rowHighlight: 'keepConditions-highlight',
+    rowHighlightDuration: 3000,
+
+    // Inputs outside of the table to keep the values of (EG: Inputs used by custom ext.search
+    // filters), as an object of parameter names and selectors (EG: { min: '#min-date' }).
+    // Inputs can also be bound via the data-kc-param and data-kc-table attributes
+    inputs: undefined,
+
+    // Wait (ms) before updating the URL after a condition event, either a number for all
+    // conditions, or an object of numbers by condition name (EG: { search: 1000 }). The
+    // search and scroller/scroll conditions default to 500 and 250, the rest default to 0
+    debounce: undefined
+};
+
+/**
+ * Registered storage adapters, by name (See KeepConditions.registerStorage())
+ */
+KeepConditions._storages = {};
+
+/**
+ * Registered view storage adapters, by name (See KeepConditions.registerViewStorage())
+ */
+KeepConditions._viewStorages = {};
+
+/**
+ * Registered custom conditions, by name (See KeepConditions.registerCondition())
+ */
+KeepConditions._conditions = {};
+
 ((window, document, $, undefined) => {
+    // Make KeepConditions available via DataTables, EG: $.fn.dataTable.KeepConditions.registerCondition()
+    $.fn.dataTable.KeepConditions = KeepConditions;
+    $.fn.DataTable.KeepConditions = KeepConditions;
+
     // Setting defaults
     $.extend( true, $.fn.dataTable.defaults, {
         language: {
@@ -1409,8 +5445,54 @@ class KeepConditions {
         }
     } );
 
-    // Auto-initialize KeepConditions on tables having it configured
-    $( document ).on( 'init.dt', ( e, dtSettings ) =>  {
+    // Conditions kept within the URL hash (EG: #example=fLondon:oa2)
+    KeepConditions.registerStorage( 'hash', {
+        url:    true,
+        read:   ( tableId ) => {
+            let cons = KeepConditions.queryString( 'hash' )[ tableId ];
+
+            // If somehow thers more than one condition for this table, just take the first one..
+            return $.isArray( cons ) ? cons[0] : cons;
+        },
+        write:  ( tableId, value, kc ) => KeepConditions.updateLocation( 'hash',
+            KeepConditions.locationHash( 'hash', tableId, value ), kc._history ),
+        clear:  ( tableId, kc ) => KeepConditions.updateLocation( 'hash',
+            KeepConditions.locationHash( 'hash', tableId, '' ), kc._history )
+    } );
+
+    // Conditions kept within the URL query string (EG: ?example=fLondon:oa2)
+    KeepConditions.registerStorage( 'query', {
+        url:    true,
+        read:   ( tableId ) => {
+            let cons = KeepConditions.queryString( 'query' )[ tableId ];
+
+            // If somehow thers more than one condition for this table, just take the first one..
+            return $.isArray( cons ) ? cons[0] : cons;
+        },
+        write:  ( tableId, value, kc ) => KeepConditions.updateLocation( 'query',
+            KeepConditions.locationHash( 'query', tableId, value ), kc._history ),
+        clear:  ( tableId, kc ) => KeepConditions.updateLocation( 'query',
+            KeepConditions.locationHash( 'query', tableId, '' ), kc._history )
+    } );
+
+    // Conditions kept within the browser storage (localStorage and sessionStorage)
+    $.each( [ 'local', 'session' ], ( i, storage ) => {
+        KeepConditions.registerStorage( storage, {
+            read:   ( tableId, kc ) => KeepConditions.loadStored( storage, tableId, kc._option( 'duration' ) ),
+            write:  ( tableId, value ) => KeepConditions.saveStored( storage, tableId, value ),
+            clear:  ( tableId ) => KeepConditions.saveStored( storage, tableId, '' )
+        } );
+
+        // Saved views kept within the browser storage
+        KeepConditions.registerViewStorage( storage, {
+            read:   ( tableId ) => KeepConditions.loadViews( storage, tableId ),
+            write:  ( tableId, views ) => KeepConditions.saveViews( storage, tableId, views )
+        } );
+    });
+
+    // Auto-initialize KeepConditions on tables having it configured, prior to the first draw, so
+    // the first draw (and server-side request) already has the conditions
+    $( document ).on( 'preInit.dt', ( e, dtSettings ) =>  {
         if ( e.namespace !== 'dt' )
             return;
 
@@ -1424,6 +5506,35 @@ class KeepConditions {
         new KeepConditions( dtSettings );
     });
 
+    // Finish initializing KeepConditions once DataTables is initialized (Or initialize it, for
+    // versions of DataTables without the preInit.dt event)
+    $( document ).on( 'init.dt', ( e, dtSettings ) =>  {
+        if ( e.namespace !== 'dt' )
+            return;
+
+        if ( dtSettings.oInit.keepConditions === undefined
+            || dtSettings.oInit.keepConditions === false )
+            return;
+
+        if ( typeof dtSettings.oKeepConditions !== 'undefined' ) {
+            if ( dtSettings.oKeepConditions._initPending )
+                dtSettings.oKeepConditions._initComplete( );
+
+            return;
+        }
+
+        new KeepConditions( dtSettings );
+    });
+
+    // Re-apply the conditions from the URL to every KeepConditions table whenever the URL is
+    // changed via the back/forward buttons (Tables with unchanged conditions are left alone)
+    $( window ).on( 'hashchange.keepConditions popstate.keepConditions', ( ) => {
+        $.each( $.fn.dataTable.settings, ( i, dtSettings ) => {
+            if ( typeof dtSettings.oKeepConditions !== 'undefined' )
+                dtSettings.oKeepConditions.processHash( true );
+        });
+    });
+
     /**
      * Attach Events
      *
@@ -1467,6 +5578,144 @@ class KeepConditions {
         return this.context[0].oKeepConditions.structureHash( returnHash );
     } );
 
+    /**
+     * Get Conditions
+     *
+     * Retrieve the conditions currently set for the table, as an object by condition name (See
+     * KeepConditions.get())
+     *
+     * @return  {object}    EG: { search: 'London', order: [ [ 2, 'asc' ] ], page: 3 }
+     */
+    $.fn.dataTable.Api.register( 'keepConditions.get()', function ( ) {
+        return this.context[0].oKeepConditions.get( );
+    } );
+
+    /**
+     * Set Conditions
+     *
+     * Load conditions into the table(s) from an object by condition name, as returned by
+     * keepConditions.get() (See KeepConditions.set())
+     *
+     * @param   {object}    values      Condition values by condition name
+     * @param   {object}    options     (Optional) { redraw: true, save: true }
+     * @return  {object}    DataTables API
+     */
+    $.fn.dataTable.Api.register( 'keepConditions.set()', function ( values, options ) {
+        return this.iterator( 'table', function( dtSettings )  {
+            dtSettings.oKeepConditions.set( values, options );
+        } );
+    } );
+
+    /**
+     * Reset Conditions
+     *
+     * Reset the conditions of the table(s) back to their initial state, removing the table(s) from
+     * the URL hash (See KeepConditions.reset())
+     *
+     * @param   {string|array}  conditions  (Optional) Condition(s) to reset, all by default
+     * @return  {object}        DataTables API
+     */
+    $.fn.dataTable.Api.register( 'keepConditions.reset()', function ( conditions ) {
+        return this.iterator( 'table', function( dtSettings )  {
+            dtSettings.oKeepConditions.reset( conditions );
+        } );
+    } );
+
+    /**
+     * List Views
+     *
+     * Retrieve the names of the views of the table (See KeepConditions.listViews())
+     *
+     * @return  {array}
+     */
+    $.fn.dataTable.Api.register( 'keepConditions.listViews()', function ( ) {
+        return this.context[0].oKeepConditions.listViews( );
+    } );
+
+    /**
+     * Save View
+     *
+     * Save the current conditions of the table(s) as a view (See KeepConditions.saveView())
+     *
+     * @param   {string}    name    Name of the view
+     * @return  {object}    DataTables API
+     */
+    $.fn.dataTable.Api.register( 'keepConditions.saveView()', function ( name ) {
+        return this.iterator( 'table', function( dtSettings )  {
+            dtSettings.oKeepConditions.saveView( name );
+        } );
+    } );
+
+    /**
+     * Load View
+     *
+     * Load the conditions of a view into the table(s) (See KeepConditions.loadView())
+     *
+     * @param   {string}    name        Name of the view
+     * @param   {object}    options     (Optional) { redraw: true, save: true }
+     * @return  {object}    DataTables API
+     */
+    $.fn.dataTable.Api.register( 'keepConditions.loadView()', function ( name, options ) {
+        return this.iterator( 'table', function( dtSettings )  {
+            dtSettings.oKeepConditions.loadView( name, options );
+        } );
+    } );
+
+    /**
+     * Rename View
+     *
+     * Rename a saved view of the table(s) (See KeepConditions.renameView())
+     *
+     * @param   {string}    name        Name of the view
+     * @param   {string}    newName     New name of the view
+     * @return  {object}    DataTables API
+     */
+    $.fn.dataTable.Api.register( 'keepConditions.renameView()', function ( name, newName ) {
+        return this.iterator( 'table', function( dtSettings )  {
+            dtSettings.oKeepConditions.renameView( name, newName );
+        } );
+    } );
+
+    /**
+     * Delete View
+     *
+     * Remove a saved view of the table(s) (See KeepConditions.deleteView())
+     *
+     * @param   {string}    name    Name of the view
+     * @return  {object}    DataTables API
+     */
+    $.fn.dataTable.Api.register( 'keepConditions.deleteView()', function ( name ) {
+        return this.iterator( 'table', function( dtSettings )  {
+            dtSettings.oKeepConditions.deleteView( name );
+        } );
+    } );
+
+    /**
+     * Undo
+     *
+     * Undo the last condition change of the table(s) (See KeepConditions.undo())
+     *
+     * @return  {object}    DataTables API
+     */
+    $.fn.dataTable.Api.register( 'keepConditions.undo()', function ( ) {
+        return this.iterator( 'table', function( dtSettings )  {
+            dtSettings.oKeepConditions.undo( );
+        } );
+    } );
+
+    /**
+     * Redo
+     *
+     * Redo the last condition change undone on the table(s) (See KeepConditions.redo())
+     *
+     * @return  {object}    DataTables API
+     */
+    $.fn.dataTable.Api.register( 'keepConditions.redo()', function ( ) {
+        return this.iterator( 'table', function( dtSettings )  {
+            dtSettings.oKeepConditions.redo( );
+        } );
+    } );
+
     /**
      * Enable Condition(s)
      *
@@ -1501,88 +5750,330 @@ class KeepConditions {
         } );
     } );
 
+    /**
+     * Copy URL
+     *
+     * Attempt to copy the URL with the specified conditions, if the copy fails (which it will in
+     * some browsers), then a simple input is shown with the contents being the URL, which should
+     * also be selected, the viewer then just has to copy the contents. The timeouts for the alert
+     * dialogs can be configured via the button config, as well as the dialog texts
+     *
+     * @param   {object}    dt              DataTables API of the button
+     * @param   {string}    conditionsHash  URL hash (or query string) to copy (See structureHash())
+     * @param   {object}    config          Button config
+     * @return  {void}
+     */
+    var copyUrl = ( dt, conditionsHash, config ) => {
+        var dtLanguage      = dt.settings()[0].oLanguage.keepConditions,
+            copyThis        = document.location.protocol+'//'
+                +document.location.host
+                +(document.location.port.length ? ':'+document.location.port : '')
+                +document.location.pathname
+                +( dt.settings()[0].oKeepConditions._storage === 'query'
+                    ? '?'+conditionsHash+document.location.hash
+                    : '#'+conditionsHash ),
+            success,
+            language = {
+                btnNoHashTitle: ( dtLanguage.btnNoHashTitle || 'No Conditions' ),
+                btnNoHashBody:  ( dtLanguage.btnNoHashBody  || 'Thre are no conditions to be copied' ),
+                btnCopyTitle:   ( dtLanguage.btnCopyTitle   || 'URL Copied' ),
+                btnCopyBody:    ( dtLanguage.btnCopyBody    || 'The URL with the DataTables conditions has been copied to your clipboard' ),
+                btnSelectTitle: ( dtLanguage.btnSelectTitle || 'Copy URL' ),
+                btnSelectBody:  ( dtLanguage.btnSelectBody  || 'Copy be below input to easily share the URL' )
+            };
+
+        // If there were no conditions to be copied, then show a notification and don't copy anything
+        if( ! conditionsHash ){
+            dt.buttons.info(
+                language.btnNoHashTitle,
+                language.btnNoHashBody,
+                3000 );
+
+            return;
+        }
+
+        // Create the input that will hold the text to select/copy, move it off screen
+        $( '<input />' )
+            .val( copyThis )
+            .attr( 'id', 'copyConditions-text' )
+            .css( {
+                position: 'absolute',
+                left: '-9999px',
+                top: `${ window.pageYOffset || document.documentElement.scrollTop }px`
+            } )
+            .appendTo('body');
+
+        // Attempt to select the contents (which should be the current URL)
+        $('#copyConditions-text').select();
+
+        // Try to execute a 'copy' command, which if successful, show the DT info dialog
+        // with a notice
+        try {
+            document.execCommand('copy');
+
+            dt.buttons.info(
+                language.btnCopyTitle,
+                language.btnCopyBody,
+                config.copyTimeout || 4000 );
+
+            success = true;
+        }
+        // If the copy command was unsuccessful, then show a DT info dialog with an input
+        // box, containing the URL
+        catch (err) {
+            dt.buttons.info(
+                language.btnSelectTitle,
+                `${language.btnSelectBody}<br><input id="keepConditions-input" value="${copyThis}" style="width:90%;">`,
+                config.selectTimeout ||10000 );
+
+            // Try to select the contents to make it easier
+            $('input#keepConditions-input').select();
+        }
+        finally {
+            // Remove the select input once this has finished
+            $( "#copyConditions-text" ).remove();
+        }
+    };
+
     /**
      * Copy Conditions Button
      *
-     * This button will attempt to copy the URL with the current table conditions, if the copy
-     * fails (which it will in some browsers), then a simple input is shown with the contents
-     * being the URL, which should also be selected, the viewer then just has to copy the
-     * contents. The URL in the input is not taken from the current document location, because
-     * if the hash in the URL is not currently up-to-date, then it may not be the correct version,
-     * thus, the KeepConditions.structureHash() is used to retrieve the current hash. The timeouts
-     * for the alert dialogs can be configured, as well as the button text and the dialog texts
+     * This button will attempt to copy the URL with the current table conditions (See copyUrl()).
+     * The URL is not taken from the current document location, because if the hash in the URL is
+     * not currently up-to-date, then it may not be the correct version, thus, the
+     * KeepConditions.structureHash() is used to retrieve the current hash.
      */
     $.fn.dataTable.ext.buttons.copyConditions = {
         text: 'Copy Conditions',
         action: ( e, dt, node, config ) => {
-            var dtLanguage      = dt.settings()[0].oLanguage.keepConditions,
-                conditionsHash  = dt.settings()[0].oKeepConditions.structureHash( true ),
-                copyThis        = document.location.protocol+'//'
-                    +document.location.host
-                    +(document.location.port.length ? ':'+document.location.port : '')
-                    +document.location.pathname
-                    +'#'+conditionsHash,
-                success,
-                language = {
-                    btnNoHashTitle: ( dtLanguage.btnNoHashTitle || 'No Conditions' ),
-                    btnNoHashBody:  ( dtLanguage.btnNoHashBody  || 'Thre are no conditions to be copied' ),
-                    btnCopyTitle:   ( dtLanguage.btnCopyTitle   || 'URL Copied' ),
-                    btnCopyBody:    ( dtLanguage.btnCopyBody    || 'The URL with the DataTables conditions has been copied to your clipboard' ),
-                    btnSelectTitle: ( dtLanguage.btnSelectTitle || 'Copy URL' ),
-                    btnSelectBody:  ( dtLanguage.btnSelectBody  || 'Copy be below input to easily share the URL' )
-                };
-
-            // If there were no conditions to be copied, then show a notification and don't copy anything
-            if( ! conditionsHash ){
-                dt.buttons.info(
-                    language.btnNoHashTitle,
-                    language.btnNoHashBody,
-                    3000 );
+            copyUrl( dt, dt.settings()[0].oKeepConditions.structureHash( true ), config );
+        }
+    };
+
+    /**
+     * Copy Row Conditions Button
+     *
+     * Variant of the copyConditions button, which copies the URL linking to a specific row (See
+     * KeepConditions.rowHash()). Once clicked, the next row clicked within the table is the one
+     * linked to (The table has the keepConditions-pickRow class until then), clicking the button
+     * again cancels picking the row
+     */
+    $.fn.dataTable.ext.buttons.copyRowConditions = {
+        text: 'Copy Row Link',
+        action: ( e, dt, node, config ) => {
+            var dtLanguage  = dt.settings()[0].oLanguage.keepConditions,
+                $table      = $( dt.table( ).node( ) ),
+                $body       = $( dt.table( ).body( ) );
+
+            // Already picking a row, so cancel it
+            if ( $table.hasClass( 'keepConditions-pickRow' ) ) {
+                $table.removeClass( 'keepConditions-pickRow' );
+                $body.off( 'click.keepConditions' );
+                dt.buttons.info( false );
 
                 return;
             }
 
-            // Create the input that will hold the text to select/copy, move it off screen
-            $( '<input />' )
-                .val( copyThis )
-                .attr( 'id', 'copyConditions-text' )
-                .css( {
-                    position: 'absolute',
-                    left: '-9999px',
-                    top: `${ window.pageYOffset || document.documentElement.scrollTop }px`
-                } )
-                .appendTo('body');
-
-            // Attempt to select the contents (which should be the current URL)
-            $('#copyConditions-text').select();
-
-            // Try to execute a 'copy' command, which if successful, show the DT info dialog
-            // with a notice
-            try {
-                document.execCommand('copy');
+            $table.addClass( 'keepConditions-pickRow' );
+
+            dt.buttons.info(
+                dtLanguage.btnPickRowTitle || 'Copy Row Link',
+                dtLanguage.btnPickRowBody  || 'Click the row to copy the link of' );
+
+            // Wait for the row to be clicked (after this click is done)
+            setTimeout( ( ) => {
+                // Bail if picking the row was cancelled in the meantime
+                if ( ! $table.hasClass( 'keepConditions-pickRow' ) )
+                    return;
+
+                $body.off( 'click.keepConditions' ).one( 'click.keepConditions', 'tr', function ( ) {
+                    var row = dt.row( this );
+
+                    $table.removeClass( 'keepConditions-pickRow' );
+                    dt.buttons.info( false );
+
+                    // Child rows, or rows without an ID can't be linked to
+                    if ( ! row.any( ) || typeof row.id( ) === 'undefined' ) {
+                        dt.buttons.info(
+                            dtLanguage.btnNoRowTitle || 'No Row Link',
+                            dtLanguage.btnNoRowBody  || 'There is no link for the clicked row',
+                            3000 );
+
+                        return;
+                    }
+
+                    copyUrl( dt, dt.settings()[0].oKeepConditions.rowHash( row.id( ) ), config );
+                } );
+            }, 0 );
+        }
+    };
+
+    /**
+     * Reset Conditions Button
+     *
+     * Reset the conditions of the table back to its initial state (See KeepConditions.reset()),
+     * which can be limited to specific conditions via the 'conditions' button config
+     */
+    $.fn.dataTable.ext.buttons.resetConditions = {
+        text: 'Reset View',
+        action: ( e, dt, node, config ) => {
+            dt.settings()[0].oKeepConditions.reset( config.conditions );
+        }
+    };
+
+    /**
+     * View Buttons
+     *
+     * (Re)build the buttons within the conditionViews collection, one to load each view of the table
+     * (The active view being marked as active), followed by the buttons to save the current conditions
+     * as a view, and to rename or delete the active view (Unless it's predefined). The collection is
+     * rebuilt via the button().collectionRebuild() API, which requires Buttons 2.1 or later
+     *
+     * @param   {object}    dt      DataTables API of the button
+     * @param   {object}    node    Collection button node
+     * @param   {object}    config  Collection button config
+     * @return  {void}
+     */
+    var viewButtons = ( dt, node, config ) => {
+        var oKeepConditions = dt.settings()[0].oKeepConditions,
+            dtLanguage      = dt.settings()[0].oLanguage.keepConditions,
+            buttons         = [],
+            active,
+            editable;
+
+        if ( typeof oKeepConditions === 'undefined' || dt.button( node ).length === 0 )
+            return;
+
+        if ( typeof dt.button( node ).collectionRebuild !== 'function' ) {
+            if ( config._viewsUnsupported !== true )
+                console.warn(`[keepConditions:${oKeepConditions._tableId}] The conditionViews button requires the button().collectionRebuild() API of Buttons 2.1 or later`);
+
+            config._viewsUnsupported = true;
+            return;
+        }
 
-                dt.buttons.info(
-                    language.btnCopyTitle,
-                    language.btnCopyBody,
-                    config.copyTimeout || 4000 );
+        active      = oKeepConditions.activeView( );
+        editable    = active !== null && ! oKeepConditions.isPredefinedView( active );
 
-                success = true;
+        $.each( oKeepConditions.listViews( ), ( i, name ) => {
+            buttons.push( {
+                text:       $( '<div/>' ).text( name ).html( ),
+                className:  'keepConditions-view',
+                init:       function ( ) {
+                    this.active( name === active );
+                },
+                action:     ( ) => oKeepConditions.loadView( name )
+            } );
+        });
+
+        buttons.push( {
+            text:       dtLanguage.btnSaveView || 'Save View',
+            className:  'keepConditions-saveView',
+            action:     ( ) => {
+                var name = window.prompt( dtLanguage.btnSaveViewPrompt || 'Name of the view', editable ? active : '' );
+
+                if ( name )
+                    oKeepConditions.saveView( name );
             }
-            // If the copy command was unsuccessful, then show a DT info dialog with an input
-            // box, containing the URL
-            catch (err) {
-                dt.buttons.info(
-                    language.btnSelectTitle,
-                    `${language.btnSelectBody}<br><input id="keepConditions-input" value="${copyThis}" style="width:90%;">`,
-                    config.selectTimeout ||10000 );
-
-                // Try to select the contents to make it easier
-                $('input#keepConditions-input').select();
+        }, {
+            text:       dtLanguage.btnRenameView || 'Rename View',
+            className:  'keepConditions-renameView',
+            enabled:    editable,
+            action:     ( ) => {
+                var name = window.prompt( dtLanguage.btnRenameViewPrompt || 'New name of the view', active );
+
+                if ( name && name !== active )
+                    oKeepConditions.renameView( active, name );
             }
-            finally {
-                // Remove the select input once this has finished
-                $( "#copyConditions-text" ).remove();
+        }, {
+            text:       dtLanguage.btnDeleteView || 'Delete View',
+            className:  'keepConditions-deleteView',
+            enabled:    editable,
+            action:     ( ) => {
+                if ( window.confirm( ( dtLanguage.btnDeleteViewConfirm || 'Delete the view \'%s\'?' ).replace( '%s', active ) ) )
+                    oKeepConditions.deleteView( active );
             }
+        } );
+
+        // Replace the buttons currently within the collection
+        dt.button( node ).collectionRebuild( buttons );
+    };
+
+    /**
+     * Condition Views Button
+     *
+     * Collection of the views of the table (See KeepConditions.listViews()), along with the buttons to
+     * save, rename and delete views (See viewButtons()). The collection is rebuilt whenever its opened,
+     * and whenever the views change
+     */
+    $.fn.dataTable.ext.buttons.conditionViews = {
+        extend: 'collection',
+        text: 'Views',
+        buttons: [],
+        init: function ( dt, node, config ) {
+            $.fn.dataTable.ext.buttons.collection.init.call( this, dt, node, config );
+
+            config._viewsHandler = ( ) => viewButtons( dt, node, config );
+
+            dt.on( 'kc-views.dt', config._viewsHandler );
+        },
+        destroy: function ( dt, node, config ) {
+            dt.off( 'kc-views.dt', config._viewsHandler );
+        },
+        action: function ( e, dt, node, config ) {
+            viewButtons( dt, node, config );
+
+            $.fn.dataTable.ext.buttons.collection.action.call( this, e, dt, node, config );
+        }
+    };
+
+    /**
+     * Undo Conditions Button
+     *
+     * Undo the last condition change of the table (See KeepConditions.undo()), the button is disabled
+     * while there's nothing to undo
+     */
+    $.fn.dataTable.ext.buttons.undoConditions = {
+        text: 'Undo',
+        init: function ( dt, node, config ) {
+            var oKeepConditions = dt.settings()[0].oKeepConditions;
+
+            this.enable( typeof oKeepConditions !== 'undefined' && oKeepConditions._undoStack.length !== 0 );
+
+            config._undoHandler = ( e, dtSettings, undos ) => this.enable( undos !== 0 );
+
+            dt.on( 'kc-undo.dt', config._undoHandler );
+        },
+        destroy: function ( dt, node, config ) {
+            dt.off( 'kc-undo.dt', config._undoHandler );
+        },
+        action: ( e, dt, node, config ) => {
+            dt.settings()[0].oKeepConditions.undo( );
+        }
+    };
+
+    /**
+     * Redo Conditions Button
+     *
+     * Redo the last condition change undone (See KeepConditions.redo()), the button is disabled while
+     * there's nothing to redo
+     */
+    $.fn.dataTable.ext.buttons.redoConditions = {
+        text: 'Redo',
+        init: function ( dt, node, config ) {
+            var oKeepConditions = dt.settings()[0].oKeepConditions;
+
+            this.enable( typeof oKeepConditions !== 'undefined' && oKeepConditions._redoStack.length !== 0 );
+
+            config._undoHandler = ( e, dtSettings, undos, redos ) => this.enable( redos !== 0 );
+
+            dt.on( 'kc-undo.dt', config._undoHandler );
+        },
+        destroy: function ( dt, node, config ) {
+            dt.off( 'kc-undo.dt', config._undoHandler );
+        },
+        action: ( e, dt, node, config ) => {
+            dt.settings()[0].oKeepConditions.redo( );
         }
     };
 })(window, document, jQuery);